@@ -0,0 +1,350 @@
+/**
+ * Mock API device simulator
+ *
+ * Deterministic stand-in for the vendor's inverter fleet. Everything is
+ * derived from a seed, so the same seed, serials and clock give the same
+ * readings:
+ * - each device has a capacity (3-8 kW), an age and a degradation rate
+ * - output follows a time-of-day irradiance curve (sunrise 06:00, sunset
+ *   18:00 UTC by default) with some per-device cloud cover
+ * - a share of devices is offline for whole outage windows, so a device
+ *   stays offline across calls instead of flickering
+ *
+ * Fault injection (5xx bursts, slow responses, malformed records, partial
+ * batches, 401s) is configured through named scenarios or individual fault
+ * settings, and can be switched at runtime through the admin endpoint.
+ */
+const express = require("express");
+
+const FAULT_DEFAULTS = {
+    errorRate: 0,          // chance a request starts a 5xx burst
+    errorBurstLength: 3,   // requests per 5xx burst
+    slowRate: 0,           // chance a request is delayed
+    slowMs: 3000,          // delay of a slow request
+    malformedRate: 0,      // chance each record is malformed
+    partialRate: 0,        // chance a batch is missing records
+    unauthorizedRate: 0,   // chance a request gets a 401
+};
+
+const SCENARIOS = {
+    normal: {},
+    flaky: { errorRate: 0.1, errorBurstLength: 3 },
+    slow: { slowRate: 0.3, slowMs: 3000 },
+    malformed: { malformedRate: 0.05 },
+    partial: { partialRate: 0.2 },
+    auth: { unauthorizedRate: 0.1 },
+    chaos: {
+        errorRate: 0.05,
+        slowRate: 0.1,
+        malformedRate: 0.02,
+        partialRate: 0.05,
+        unauthorizedRate: 0.02,
+    },
+};
+
+const DEVICE_DEFAULTS = {
+    sunriseHour: 6,
+    sunsetHour: 18,
+    offlineRate: 0.05,          // share of devices in an outage at any time
+    outageWindowMs: 60 * 60 * 1000,
+    cloudWindowMs: 10 * 60 * 1000,
+};
+
+// Ways a record can be broken, cycled through by the fault RNG
+const MALFORMATIONS = [
+    record => ({ ...record, power: record.power.replace(" kW", "") }),
+    record => ({ ...record, power: parseFloat(record.power) }),
+    record => ({ ...record, status: "Unknown" }),
+    record => ({ ...record, last_updated: "not-a-date" }),
+    record => ({ ...record, sn: undefined }),
+    () => null,
+];
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Deterministic number in [0, 1) for the given parts
+ */
+function unitRandom(...parts) {
+    // mulberry32 finaliser over the hash, to spread nearby inputs
+    let t = (hashString(parts.join("|")) + 0x6d2b79f5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class DeviceSimulator {
+    /**
+     * @param {Object} options
+     * @param {string|number} options.seed - Seed for devices and faults
+     * @param {string} options.scenario - Name from SCENARIOS
+     */
+    constructor({ seed = "energygrid", scenario = "normal" } = {}) {
+        this.configure({ seed, scenario, faults: {}, time: null });
+    }
+
+    /**
+     * Change the seed, scenario, individual faults or the simulated clock.
+     * Changing anything restarts the fault sequence.
+     * @param {Object} settings
+     * @param {string|number} settings.seed - New seed
+     * @param {string} settings.scenario - Name from SCENARIOS
+     * @param {Object} settings.faults - Overrides on top of the scenario
+     * @param {string|null} settings.time - Fixed ISO time, or null for the real clock
+     */
+    configure({ seed, scenario, faults, time } = {}) {
+        if (scenario !== undefined && !SCENARIOS[scenario]) {
+            throw new Error(`scenario must be one of ${Object.keys(SCENARIOS).join(", ")}`);
+        }
+        if (faults !== undefined) {
+            if (!faults || typeof faults !== "object") {
+                throw new Error("faults must be an object");
+            }
+            Object.entries(faults).forEach(([name, value]) => {
+                if (!(name in FAULT_DEFAULTS)) {
+                    throw new Error(`Unknown fault "${name}"`);
+                }
+                if (typeof value !== "number" || value < 0 || (name.endsWith("Rate") && value > 1)) {
+                    throw new Error(`${name} must be a number${name.endsWith("Rate") ? " between 0 and 1" : " >= 0"}`);
+                }
+            });
+        }
+        if (time !== undefined && time !== null && Number.isNaN(Date.parse(time))) {
+            throw new Error(`time "${time}" is not a valid timestamp`);
+        }
+
+        if (seed !== undefined) this.seed = String(seed);
+        if (scenario !== undefined) {
+            this.scenario = scenario;
+            // A new scenario starts from its own fault settings
+            if (faults === undefined) this.faultOverrides = {};
+        }
+        if (faults !== undefined) this.faultOverrides = { ...faults };
+        if (time !== undefined) this.time = time;
+
+        this.requestCount = 0;
+        this.burstRemaining = 0;
+        return this.getSettings();
+    }
+
+    /**
+     * Effective fault settings: defaults, then scenario, then overrides
+     */
+    get faults() {
+        return { ...FAULT_DEFAULTS, ...SCENARIOS[this.scenario], ...this.faultOverrides };
+    }
+
+    getSettings() {
+        return {
+            seed: this.seed,
+            scenario: this.scenario,
+            faults: this.faults,
+            time: this.time,
+            requestCount: this.requestCount,
+            scenarios: Object.keys(SCENARIOS),
+        };
+    }
+
+    now() {
+        return this.time ? Date.parse(this.time) : Date.now();
+    }
+
+    /**
+     * Fixed characteristics of a device
+     * @param {string} sn - Serial number
+     * @returns {Object} { capacityKw, ageYears, degradationPerYear }
+     */
+    profile(sn) {
+        return {
+            capacityKw: 3 + unitRandom(this.seed, sn, "capacity") * 5,
+            ageYears: unitRandom(this.seed, sn, "age") * 10,
+            degradationPerYear: 0.004 + unitRandom(this.seed, sn, "degradation") * 0.006,
+        };
+    }
+
+    /**
+     * Share of clear-sky output at a time of day, 0 at night
+     * @param {number} timestamp - Epoch ms
+     */
+    irradiance(timestamp) {
+        const date = new Date(timestamp);
+        const hour = date.getUTCHours() + date.getUTCMinutes() / 60;
+        const { sunriseHour, sunsetHour } = DEVICE_DEFAULTS;
+        if (hour <= sunriseHour || hour >= sunsetHour) return 0;
+        return Math.sin(Math.PI * (hour - sunriseHour) / (sunsetHour - sunriseHour));
+    }
+
+    /**
+     * Reading of one device at a time, in the vendor's record format
+     * @param {string} sn - Serial number
+     * @param {number} timestamp - Epoch ms
+     */
+    reading(sn, timestamp) {
+        const outageWindow = Math.floor(timestamp / DEVICE_DEFAULTS.outageWindowMs);
+        const offline = unitRandom(this.seed, sn, "outage", outageWindow) < DEVICE_DEFAULTS.offlineRate;
+
+        let powerKw = 0;
+        if (!offline) {
+            const { capacityKw, ageYears, degradationPerYear } = this.profile(sn);
+            const cloudWindow = Math.floor(timestamp / DEVICE_DEFAULTS.cloudWindowMs);
+            const cloudCover = 0.8 + unitRandom(this.seed, sn, "cloud", cloudWindow) * 0.2;
+            powerKw = capacityKw * this.irradiance(timestamp) * cloudCover * (1 - degradationPerYear * ageYears);
+        }
+
+        return {
+            sn,
+            power: powerKw.toFixed(2) + " kW",
+            status: offline ? "Offline" : "Online",
+            last_updated: new Date(timestamp).toISOString(),
+        };
+    }
+
+    /**
+     * Decide which faults hit the next request
+     * @param {number} batchSize - Serials in the request
+     * @returns {Object} { status, delayMs, malformed: index[], dropped: index[] }
+     */
+    nextOutcome(batchSize) {
+        const faults = this.faults;
+        const request = ++this.requestCount;
+        const roll = name => unitRandom(this.seed, "request", request, name);
+        const outcome = { status: 200, delayMs: 0, malformed: [], dropped: [] };
+
+        if (roll("slow") < faults.slowRate) outcome.delayMs = faults.slowMs;
+
+        if (this.burstRemaining > 0) {
+            this.burstRemaining--;
+            outcome.status = 503;
+            return outcome;
+        }
+        if (roll("error") < faults.errorRate) {
+            this.burstRemaining = Math.max(0, faults.errorBurstLength - 1);
+            outcome.status = 503;
+            return outcome;
+        }
+        if (roll("unauthorized") < faults.unauthorizedRate) {
+            outcome.status = 401;
+            return outcome;
+        }
+
+        for (let i = 0; i < batchSize; i++) {
+            if (roll(`malformed-${i}`) < faults.malformedRate) outcome.malformed.push(i);
+        }
+        if (batchSize > 1 && roll("partial") < faults.partialRate) {
+            // Drop between one and all-but-one records
+            const count = 1 + Math.floor(roll("partial-count") * (batchSize - 1));
+            for (let i = batchSize - count; i < batchSize; i++) outcome.dropped.push(i);
+        }
+        return outcome;
+    }
+
+    /**
+     * Answer a query the way the vendor API would, faults included
+     * @param {string[]} snList - Serial numbers
+     * @returns {Promise<Object>} { status, body }
+     */
+    async query(snList) {
+        const outcome = this.nextOutcome(snList.length);
+        if (outcome.delayMs > 0) await delay(outcome.delayMs);
+
+        if (outcome.status === 503) {
+            return { status: 503, body: { error: "Service Unavailable (simulated)" } };
+        }
+        if (outcome.status === 401) {
+            return { status: 401, body: { error: "Invalid Signature" } };
+        }
+
+        const timestamp = this.now();
+        const data = [];
+        snList.forEach((sn, i) => {
+            if (outcome.dropped.includes(i)) return;
+            const record = this.reading(sn, timestamp);
+            if (outcome.malformed.includes(i)) {
+                const malform = MALFORMATIONS[Math.floor(unitRandom(this.seed, sn, this.requestCount) * MALFORMATIONS.length)];
+                data.push(malform(record));
+            } else {
+                data.push(record);
+            }
+        });
+        return { status: 200, body: { data } };
+    }
+}
+
+/**
+ * Express handler for POST /device/real/query backed by a simulator
+ * @param {DeviceSimulator} simulator
+ */
+function createQueryHandler(simulator) {
+    return async (req, res) => {
+        const { sn_list } = req.body;
+
+        if (!sn_list || !Array.isArray(sn_list)) {
+            return res.status(400).json({ error: "sn_list array is required" });
+        }
+        if (sn_list.length > 10) {
+            return res.status(400).json({ error: "Batch size limit exceeded (Max 10)" });
+        }
+
+        const { status, body } = await simulator.query(sn_list);
+        if (status === 200) {
+            console.log(`[200] Success. Processed ${sn_list.length} devices (${body.data.length} records).`);
+        } else {
+            console.log(`[${status}] Simulated fault (${simulator.scenario}).`);
+        }
+        res.status(status).json(body);
+    };
+}
+
+/**
+ * Admin router: GET reads the simulator settings, PUT changes them
+ * (seed, scenario, faults, time) and POST /reset goes back to the
+ * settings the server started with.
+ * @param {DeviceSimulator} simulator
+ */
+function createAdminRouter(simulator) {
+    const router = express.Router();
+    const initial = { seed: simulator.seed, scenario: simulator.scenario, faults: {}, time: null };
+
+    router.get("/", (req, res) => {
+        res.json(simulator.getSettings());
+    });
+
+    router.put("/", (req, res) => {
+        const { seed, scenario, faults, time } = req.body || {};
+        try {
+            const settings = simulator.configure({ seed, scenario, faults, time });
+            console.log(`[admin] Simulator: scenario ${settings.scenario}, seed ${settings.seed}`);
+            res.json(settings);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.post("/reset", (req, res) => {
+        res.json(simulator.configure(initial));
+    });
+
+    return router;
+}
+
+module.exports = {
+    FAULT_DEFAULTS,
+    SCENARIOS,
+    DeviceSimulator,
+    createQueryHandler,
+    createAdminRouter,
+};
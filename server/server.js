@@ -1,91 +1,118 @@
 const express = require("express");
-const crypto = require("crypto");
-const app = express();
-app.use(express.json());
+const { captureRawBody, createSignatureVerifier } = require("./signatureVerifier");
+const { TokenSource } = require("../src/lib/tokenSource");
+const { DeviceSimulator, createQueryHandler, createAdminRouter } = require("./deviceSimulator");
 
-const SECRET_TOKEN = "interview_token_123";
-let lastRequestTime = 0;
+const SIGNATURE_SCHEME = process.env.SIGNATURE_SCHEME || "md5";
+const REPLAY_WINDOW_MS = parseInt(process.env.REPLAY_WINDOW_MS || "300000", 10);
 
-// 1. Rate Limiter Middleware (Strict 1s gap)
-app.use((req, res, next) => {
-    // Skip rate limiting for non-API routes
-    if (!req.path.startsWith('/device')) {
-        return next();
-    }
+// Advertise the 1 req/sec window so clients can pace themselves
+function setRateLimitHeaders(res, resetAt) {
+    res.set({
+        "X-RateLimit-Limit": "1",
+        "X-RateLimit-Remaining": "0",
+        "X-RateLimit-Reset": (resetAt / 1000).toFixed(3),
+    });
+}
 
-    const now = Date.now();
-    // Allow a tiny buffer (50ms) for network jitter, but strict otherwise
-    if (now - lastRequestTime < 950) {
-        console.log(
-            `[429] Request rejected. Time since last: ${now - lastRequestTime}ms`,
-        );
-        return res
-            .status(429)
-            .json({ error: "Too Many Requests. Limit: 1 req/sec." });
-    }
-    lastRequestTime = now;
-    next();
-});
+/**
+ * Build the mock API app. The tests start one in-process per scenario.
+ * @param {Object} options
+ * @param {Function} options.getTokens - Returns the accepted secret tokens, current first
+ * @param {string} options.scheme - Signature scheme
+ * @param {number} options.replayWindowMs - Allowed timestamp skew
+ * @param {DeviceSimulator} options.simulator - Device simulator to answer from
+ * @returns {Object} { app, simulator, stats: { requests: [{ at, status }] } }
+ */
+function createMockApi({
+    getTokens,
+    scheme = SIGNATURE_SCHEME,
+    replayWindowMs = REPLAY_WINDOW_MS,
+    simulator = new DeviceSimulator(),
+}) {
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    const stats = { requests: [] };
+    let lastRequestTime = 0;
 
-// 2. Security Middleware (Signature Check)
-app.use((req, res, next) => {
-    // Skip signature check for non-API routes
-    if (!req.path.startsWith('/device')) {
-        return next();
-    }
+    // 0. Record every device API response (status and arrival time)
+    app.use((req, res, next) => {
+        if (req.path.startsWith("/device")) {
+            const at = Date.now();
+            res.on("finish", () => stats.requests.push({ at, status: res.statusCode }));
+        }
+        next();
+    });
 
-    const signature = req.headers["signature"];
-    const timestamp = req.headers["timestamp"];
-    const url = req.originalUrl;
+    // 1. Rate Limiter Middleware (Strict 1s gap)
+    app.use((req, res, next) => {
+        // Skip rate limiting for non-API routes
+        if (!req.path.startsWith('/device')) {
+            return next();
+        }
 
-    if (!timestamp || !signature) {
-        return res
-            .status(401)
-            .json({ error: "Missing headers: signature or timestamp" });
-    }
+        const now = Date.now();
+        // Allow a tiny buffer (50ms) for network jitter, but strict otherwise
+        if (now - lastRequestTime < 950) {
+            console.log(
+                `[429] Request rejected. Time since last: ${now - lastRequestTime}ms`,
+            );
+            setRateLimitHeaders(res, lastRequestTime + 950);
+            res.set("Retry-After", String(Math.ceil((lastRequestTime + 950 - now) / 1000)));
+            return res
+                .status(429)
+                .json({ error: "Too Many Requests. Limit: 1 req/sec." });
+        }
+        lastRequestTime = now;
+        setRateLimitHeaders(res, now + 950);
+        next();
+    });
 
-    // Expected: MD5( url + token + timestamp )
-    const expectedSig = crypto
-        .createHash("md5")
-        .update(url + SECRET_TOKEN + timestamp)
-        .digest("hex");
+    // 2. Security Middleware (Signature Check)
+    const verifySignature = createSignatureVerifier({ scheme, getTokens, replayWindowMs });
+    app.use((req, res, next) => {
+        // Skip signature check for non-API routes
+        if (!req.path.startsWith('/device')) {
+            return next();
+        }
+        verifySignature(req, res, next);
+    });
 
-    if (signature !== expectedSig) {
-        console.log(
-            `[401] Bad Signature. Got: ${signature}, Expected: ${expectedSig}`,
-        );
-        return res.status(401).json({ error: "Invalid Signature" });
-    }
-    next();
-});
+    // 3. Endpoint
+    app.post("/device/real/query", createQueryHandler(simulator));
 
-// 3. Endpoint
-app.post("/device/real/query", (req, res) => {
-    const { sn_list } = req.body;
+    // 4. Simulator admin (scenario, seed, faults, clock)
+    app.use("/admin/simulator", createAdminRouter(simulator));
 
-    if (!sn_list || !Array.isArray(sn_list)) {
-        return res.status(400).json({ error: "sn_list array is required" });
-    }
-    if (sn_list.length > 10) {
-        return res
-            .status(400)
-            .json({ error: "Batch size limit exceeded (Max 10)" });
-    }
+    return { app, simulator, stats };
+}
 
-    // Simulate processing delay
-    const results = sn_list.map((sn) => ({
-        sn: sn,
-        power: (Math.random() * 5).toFixed(2) + " kW",
-        status: Math.random() > 0.1 ? "Online" : "Offline",
-        last_updated: new Date().toISOString(),
-    }));
+if (require.main === module) {
+    // Token from SECRET_TOKEN_FILE (reloaded on change) or SECRET_TOKEN. After a
+    // rotation the old token stays valid for TOKEN_ROTATION_OVERLAP_MS.
+    const secretToken = new TokenSource({
+        filePath: process.env.SECRET_TOKEN_FILE || null,
+        value: process.env.SECRET_TOKEN || "interview_token_123",
+        name: "Mock API token",
+        overlapMs: parseInt(process.env.TOKEN_ROTATION_OVERLAP_MS || "300000", 10),
+    }).watch();
+    const { app, simulator } = createMockApi({
+        getTokens: () => secretToken.acceptedTokens(),
+        simulator: new DeviceSimulator({
+            seed: process.env.SIMULATOR_SEED || "energygrid",
+            scenario: process.env.SIMULATOR_SCENARIO || "normal",
+        }),
+    });
 
-    console.log(`[200] Success. Processed ${sn_list.length} devices.`);
-    res.json({ data: results });
-});
+    const PORT = process.env.MOCK_API_PORT || 3001;
+    app.listen(PORT, () => {
+        console.log(`⚡ EnergyGrid Mock API running on port ${PORT}`);
+        console.log("   Constraints: 1 req/sec, Max 10 items/batch");
+        console.log(`   Signature scheme: ${SIGNATURE_SCHEME}, replay window ${REPLAY_WINDOW_MS}ms`);
+        console.log(`   Simulator: scenario ${simulator.scenario}, seed ${simulator.seed} (admin: /admin/simulator)`);
+    });
+}
 
-const PORT = process.env.MOCK_API_PORT || 3001;
-app.listen(PORT, () => {
-    console.log(`⚡ EnergyGrid Mock API running on port ${PORT}`);
-    console.log("   Constraints: 1 req/sec, Max 10 items/batch");
-});
+module.exports = {
+    createMockApi,
+};
@@ -0,0 +1,107 @@
+/**
+ * Mock API signature verification
+ *
+ * Express middleware checking request signatures the way the vendor API
+ * does, for one of three schemes:
+ * - md5:              MD5(url + token + timestamp)
+ * - hmac-sha256:      HMAC-SHA256(token, METHOD \n path \n timestamp \n nonce)
+ * - hmac-sha256-body: HMAC-SHA256(token, METHOD \n path \n SHA256(body) \n timestamp \n nonce)
+ *
+ * Timestamps outside the replay window are rejected, and so are repeated
+ * nonces (legacy MD5 requests carry no nonce, so their signature is used).
+ * A request signed with any currently accepted token passes, so tokens can
+ * be rotated with an overlap window.
+ */
+const crypto = require("crypto");
+
+const SCHEMES = ["md5", "hmac-sha256", "hmac-sha256-body"];
+
+/**
+ * Keep the raw body for body-hash verification: pass as express.json({ verify })
+ */
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf.toString("utf8");
+}
+
+function expectedSignature(scheme, token, req, timestamp, nonce) {
+    const url = req.originalUrl;
+    if (scheme === "md5") {
+        return crypto.createHash("md5").update(url + token + timestamp).digest("hex");
+    }
+
+    const lines = [req.method.toUpperCase(), url];
+    if (scheme === "hmac-sha256-body") {
+        lines.push(crypto.createHash("sha256").update(req.rawBody || "").digest("hex"));
+    }
+    lines.push(timestamp, nonce);
+    return crypto.createHmac("sha256", token).update(lines.join("\n")).digest("hex");
+}
+
+/**
+ * Create the verification middleware
+ * @param {Object} options
+ * @param {string} options.scheme - md5, hmac-sha256 or hmac-sha256-body
+ * @param {Function} options.getTokens - Returns the accepted secret tokens, current first
+ * @param {number} options.replayWindowMs - Allowed clock skew either way
+ */
+function createSignatureVerifier({ scheme = "md5", getTokens, replayWindowMs = 5 * 60 * 1000 }) {
+    if (!SCHEMES.includes(scheme)) {
+        throw new Error(`Unknown signature scheme "${scheme}"`);
+    }
+
+    // nonce -> expiry time. Insertion order is close to expiry order; an
+    // entry kept a little past its expiry only makes the check stricter.
+    const seenNonces = new Map();
+
+    function forgetExpired(now) {
+        for (const [nonce, expiresAt] of seenNonces) {
+            if (expiresAt > now) break;
+            seenNonces.delete(nonce);
+        }
+    }
+
+    return (req, res, next) => {
+        const signature = req.headers["signature"];
+        const timestamp = req.headers["timestamp"];
+        const nonce = req.headers["nonce"];
+        const now = Date.now();
+
+        if (!timestamp || !signature) {
+            return res.status(401).json({ error: "Missing headers: signature or timestamp" });
+        }
+        if (scheme !== "md5" && !nonce) {
+            return res.status(401).json({ error: "Missing header: nonce" });
+        }
+
+        const skew = Math.abs(now - Number(timestamp));
+        if (!Number.isFinite(skew) || skew > replayWindowMs) {
+            console.log(`[401] Stale timestamp ${timestamp} (${skew}ms off)`);
+            return res.status(401).json({ error: "Timestamp outside replay window" });
+        }
+
+        const expectedSigs = getTokens().map(token => expectedSignature(scheme, token, req, timestamp, nonce));
+        if (!expectedSigs.includes(signature)) {
+            console.log(`[401] Bad Signature (${scheme}). Timestamp: ${timestamp}`);
+            console.log(`      Path: ${req.originalUrl}`);
+            console.log(`      Got: ${signature}`);
+            console.log(`      Expected: ${expectedSigs.join(" or ")}`);
+            return res.status(401).json({ error: "Invalid Signature" });
+        }
+
+        forgetExpired(now);
+        const replayKey = nonce || signature;
+        if (seenNonces.has(replayKey)) {
+            console.log(`[401] Replayed nonce ${replayKey}`);
+            return res.status(401).json({ error: "Nonce already used" });
+        }
+        // A nonce only needs remembering while its timestamp is still accepted
+        seenNonces.set(replayKey, Number(timestamp) + replayWindowMs);
+        next();
+    };
+}
+
+module.exports = {
+    SCHEMES,
+    captureRawBody,
+    createSignatureVerifier,
+};
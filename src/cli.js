@@ -1,34 +1,490 @@
 /**
- * CLI Entry Point for standalone aggregation
+ * CLI Entry Point
+ *
+ * Usage:
+ *   node src/cli.js [aggregate] [options]   Run an aggregation (default command)
+ *   node src/cli.js status [--server URL]   Show the state of a running server
+ *   node src/cli.js history [--limit N]     List past runs from a running server
+ *   node src/cli.js validate-config         Check configuration, registry, rules and tokens
+ *   node src/cli.js hash-password [secret]  Hash a password or API key secret for the users file
+ *                                           (no secret: generate a new API key, named by --name)
+ *
+ * status and history send --api-key (or ENERGYGRID_API_KEY) when the server
+ * requires sign-in.
+ *
+ * aggregate options:
+ *   --devices SN-001,SN-002   Only these devices
+ *   --range SN-010..SN-050    Devices in this serial number range (inclusive)
+ *   --site NAME               Only devices at this site
+ *   --only-offline            Only devices Offline in the previous run
+ *   --batch-size N            Devices per request (max 10)
+ *   --rate N                  Requests per second per upstream lane (0.1 to 1)
+ *   --format FORMAT           json | csv | ndjson | table (device readings)
+ *   --out FILE                Write the output to FILE instead of stdout
+ *   --resume [id]             Resume an interrupted run (latest if no id)
+ *   --quiet                   No progress or log output
+ *
+ * Exit codes: 0 success, 1 error, 2 partial failure (some devices not fetched).
+ * With --format, logs go to stderr so stdout can be piped.
  */
-const { aggregateDeviceData } = require('./services/aggregator');
+const fs = require('fs');
+const fetch = require('node-fetch');
+const config = require('./config');
+const { FORMATS, formatRows } = require('./lib/formatters');
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    PARTIAL: 2,
+};
+
+const COMMANDS = ['aggregate', 'status', 'history', 'validate-config', 'hash-password'];
+const DEVICE_COLUMNS = ['sn', 'status', 'powerW', 'last_updated', 'batch'];
+const RUN_COLUMNS = ['id', 'startedAt', 'durationSeconds', 'successfulFetches', 'failedFetches', 'onlineDevices', 'offlineDevices', 'errorsCount'];
+
+/**
+ * Split argv into positionals and --options. An option without a value
+ * (followed by another option or nothing) is true.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { positionals, options }
+ */
+function parseArgv(argv) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (inlineValue !== undefined) {
+            options[key] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            options[key] = argv[++i];
+        } else {
+            options[key] = true;
+        }
+    }
+
+    return { positionals, options };
+}
+
+/**
+ * Parse a positive number option
+ * @param {*} value - Option value
+ * @param {string} name - Option name for the error message
+ * @param {Object} limits - { integer, min, max }
+ * @returns {number} Parsed value
+ */
+function parsePositive(value, name, { integer = false, min = 0, max = Infinity } = {}) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || number < min || number > max || (integer && !Number.isInteger(number))) {
+        const kind = integer ? 'a positive integer' : 'a positive number';
+        const range = min > 0 ? ` from ${min} to ${max}` : (max !== Infinity ? ` up to ${max}` : '');
+        throw new Error(`--${name} must be ${kind}${range}`);
+    }
+    return number;
+}
+
+/**
+ * Parse --range FROM..TO
+ * @param {string} value - Option value
+ * @returns {string[]} [from, to]
+ */
+function parseRange(value) {
+    const parts = value.split('..');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        throw new Error('--range must look like SN-010..SN-050');
+    }
+    return parts;
+}
+
+/**
+ * Validate --format against the formats a command supports
+ * @param {*} format - Option value
+ * @param {string[]} allowed - Supported formats
+ * @returns {string|undefined} Format
+ */
+function parseFormat(format, allowed = FORMATS) {
+    if (format === undefined) return undefined;
+    if (!allowed.includes(format)) {
+        throw new Error(`--format must be one of ${allowed.join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Write command output to --out or stdout
+ * @param {string} text - Output
+ * @param {string} outFile - File path, or undefined for stdout
+ */
+function writeOutput(text, outFile) {
+    if (outFile) {
+        fs.writeFileSync(outFile, text);
+        console.error(`💾 Wrote ${outFile}`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+/**
+ * Fetch JSON from a running server
+ * @param {string} server - Server base URL
+ * @param {string} path - API path
+ * @param {string} apiKey - API key for servers that require sign-in
+ * @returns {Promise<Object>} Response body
+ */
+async function fetchServer(server, path, apiKey) {
+    let response;
+    try {
+        response = await fetch(`${server}${path}`, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+    } catch (error) {
+        throw new Error(`Could not reach server at ${server}: ${error.message}`);
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`${path} returned ${response.status}: ${body.error || 'Unknown error'}`);
+    }
+    return body;
+}
+
+/**
+ * Find the checkpoint to resume
+ * @param {Object} checkpointStore - Store to read from
+ * @param {string} runId - Requested run id, or undefined for the latest
+ * @returns {Promise<Object>} Checkpoint
+ */
+async function loadCheckpoint(checkpointStore, runId) {
+    if (runId) {
+        const checkpoint = await checkpointStore.get(runId);
+        if (!checkpoint) {
+            throw new Error(`No incomplete run ${runId}`);
+        }
+        return checkpoint;
+    }
+
+    const [latest] = await checkpointStore.list();
+    if (!latest) {
+        throw new Error('No incomplete runs to resume');
+    }
+    return latest;
+}
+
+/**
+ * Print the human-readable report (no --format)
+ * @param {Object} state - Final run state
+ */
+function printReport(state) {
+    console.log('\n\n═══════════════════════════════════════════════════════════');
+    console.log('                    AGGREGATION REPORT');
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log(JSON.stringify(state.summary, null, 2));
+    console.log(`\n💾 Saved as run ${state.runId}`);
+
+    if (state.errors && state.errors.length > 0) {
+        console.log('\n⚠️  Errors encountered:');
+        state.errors.forEach(err => {
+            console.log(err.batch ? `   Batch ${err.batch}: ${err.error}` : `   ${err.message}`);
+        });
+    }
+
+    if (state.quarantine && state.quarantine.length > 0) {
+        console.log('\n🧪 Quarantined records:');
+        state.quarantine.forEach(entry => {
+            console.log(`   Batch ${entry.batch} ${entry.sn || '(no sn)'}: ${entry.reason}`);
+        });
+    }
+
+    if (state.recovery) {
+        console.log(`\n🔁 Recovery pass: ${state.recovery.recovered.length} devices recovered`);
+        state.recovery.failed.forEach(failure => {
+            console.log(`   Still failing ${failure.sn}: ${failure.error}`);
+        });
+    }
+}
+
+/**
+ * aggregate: run (or resume) an aggregation in this process
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function aggregateCommand(options) {
+    const format = parseFormat(options.format);
+    const { SCHEMA } = require('./lib/runtimeConfig');
+    // Without --batch-size the run uses BATCH_SIZE (including CONFIG_PATH and env)
+    const batchSize = options['batch-size'] !== undefined
+        ? parsePositive(options['batch-size'], 'batch-size', { integer: true, max: SCHEMA.BATCH_SIZE.max })
+        : undefined;
+    // Same bounds as RATE_LIMIT_MS: never faster than the upstream allows
+    const rate = options.rate !== undefined
+        ? parsePositive(options.rate, 'rate', {
+            min: 1000 / SCHEMA.RATE_LIMIT_MS.max,
+            max: 1000 / SCHEMA.RATE_LIMIT_MS.min,
+        })
+        : null;
+
+    if (options.quiet) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    const progressStream = options.quiet ? null : (format && !options.out ? process.stderr : process.stdout);
+
+    // Loaded here so the server-side commands do not load the registry and stores
+    const { runManager } = require('./services/runManager');
+    const { checkpointStore } = require('./lib/checkpointStore');
+    const { resolveSelection } = require('./lib/runSelection');
+    const { upstreamPool } = require('./lib/upstreamPool');
 
-async function main() {
     console.log('═══════════════════════════════════════════════════════════');
     console.log('         EnergyGrid Data Aggregator - CLI Mode');
     console.log('═══════════════════════════════════════════════════════════');
 
-    try {
-        const report = await aggregateDeviceData((progress) => {
-            // Simple progress indicator
-            process.stdout.write(`\rProgress: ${progress.progress}% (${progress.successCount} devices)`);
+    if (rate) {
+        upstreamPool.lanes.forEach(lane => {
+            lane.limiter.intervalMs = Math.round(1000 / rate);
         });
+    }
+
+    runManager.on('progress', (progress) => {
+        // Simple progress indicator
+        if (progressStream) {
+            progressStream.write(`\rProgress: ${progress.progress}% (${progress.successCount} devices)`);
+        }
+    });
+
+    let state;
+    if (options.resume) {
+        const runId = options.resume === true ? undefined : options.resume;
+        state = await runManager.resume(await loadCheckpoint(checkpointStore, runId));
+    } else {
+        const selection = {};
+        if (typeof options.devices === 'string') {
+            selection.serialNumbers = options.devices.split(',').map(sn => sn.trim()).filter(Boolean);
+        }
+        if (typeof options.range === 'string') selection.range = parseRange(options.range);
+        if (typeof options.site === 'string') selection.site = options.site;
+        if (options['only-offline']) selection.onlyOffline = true;
+
+        const serialNumbers = await resolveSelection(selection);
+        state = await runManager.start({ trigger: 'cli', serialNumbers, batchSize, selection });
+    }
+
+    if (!state.summary) {
+        throw new Error(state.errors.map(err => err.message).join('; '));
+    }
+
+    if (format === 'json') {
+        const { runId, summary, errors, recovery, quarantine, lanes, devices } = state;
+        writeOutput(JSON.stringify({ runId, summary, errors, recovery, quarantine, lanes, devices }, null, 2) + '\n', options.out);
+    } else if (format) {
+        writeOutput(formatRows(state.devices, format, DEVICE_COLUMNS), options.out);
+    } else {
+        printReport(state);
+    }
+
+    const { successfulFetches, totalDevices, failedFetches } = state.summary;
+    if (format && !options.quiet) {
+        console.error(`\n✅ ${successfulFetches}/${totalDevices} devices fetched (run ${state.runId})`);
+    }
+    return failedFetches > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+/**
+ * status: show the state of a running server
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function statusCommand(options) {
+    const format = parseFormat(options.format, ['json', 'table']) || 'table';
+    const status = await fetchServer(options.server, '/api/status', options.apiKey);
+
+    if (format === 'json') {
+        const { devices, ...rest } = status;
+        writeOutput(JSON.stringify(rest, null, 2) + '\n', options.out);
+        return EXIT_CODES.OK;
+    }
+
+    const summary = status.summary || {};
+    const rows = [
+        { field: 'running', value: status.isRunning },
+        { field: 'runId', value: status.runId },
+        { field: 'trigger', value: status.trigger },
+        { field: 'progress', value: `${status.progress || 0}%` },
+        { field: 'devices', value: status.isRunning ? status.successCount : summary.successfulFetches },
+        { field: 'online', value: status.isRunning ? status.onlineCount : summary.onlineDevices },
+        { field: 'offline', value: status.isRunning ? status.offlineCount : summary.offlineDevices },
+        { field: 'lastCompleted', value: summary.timestamp },
+        { field: 'rateLimitMs', value: status.rateLimit && status.rateLimit.intervalMs },
+    ];
+    (status.upstreams || []).forEach(lane => {
+        rows.push({ field: `lane ${lane.name}`, value: `${lane.baseUrl} (${lane.healthy ? 'healthy' : 'failed over'})` });
+    });
+
+    writeOutput(formatRows(rows, 'table', ['field', 'value']), options.out);
+    return EXIT_CODES.OK;
+}
+
+/**
+ * history: list past runs from a running server
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function historyCommand(options) {
+    const format = parseFormat(options.format) || 'table';
+    const limit = options.limit !== undefined ? parsePositive(options.limit, 'limit', { integer: true }) : 20;
+    const { runs } = await fetchServer(options.server, `/api/runs?limit=${limit}`, options.apiKey);
+
+    if (format === 'json') {
+        writeOutput(JSON.stringify(runs, null, 2) + '\n', options.out);
+        return EXIT_CODES.OK;
+    }
+
+    const rows = runs.map(run => ({ id: run.id, startedAt: run.startedAt, ...run.summary }));
+    writeOutput(formatRows(rows, format, RUN_COLUMNS), options.out);
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Run one configuration check
+ * @param {Object[]} results - Collected results
+ * @param {string} name - Check name
+ * @param {Function} check - Returns a detail string, throws on failure
+ */
+function runCheck(results, name, check) {
+    try {
+        results.push({ check: name, ok: true, detail: check() });
+    } catch (error) {
+        results.push({ check: name, ok: false, detail: error.message });
+    }
+}
 
-        console.log('\n\n═══════════════════════════════════════════════════════════');
-        console.log('                    AGGREGATION REPORT');
-        console.log('═══════════════════════════════════════════════════════════');
-        console.log(JSON.stringify(report.summary, null, 2));
+/**
+ * validate-config: load every configured file and setting without running anything
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function validateConfigCommand(options) {
+    const format = parseFormat(options.format, ['json', 'table']) || 'table';
+    const results = [];
 
-        if (report.errors && report.errors.length > 0) {
-            console.log('\n⚠️  Errors encountered:');
-            report.errors.forEach(err => {
-                console.log(`   Batch ${err.batch}: ${err.error}`);
-            });
+    runCheck(results, 'signature scheme', () => {
+        const { SIGNATURE_SCHEMES } = require('./lib/signatureGenerator');
+        if (!SIGNATURE_SCHEMES.includes(config.SIGNATURE_SCHEME)) {
+            throw new Error(`Unknown scheme "${config.SIGNATURE_SCHEME}"`);
         }
+        return config.SIGNATURE_SCHEME;
+    });
+    runCheck(results, 'runtime settings', () => {
+        // Loading validates config.js, CONFIG_PATH and the environment
+        const { runtimeConfig } = require('./lib/runtimeConfig');
+        const { settings } = runtimeConfig.describe();
+        const overridden = Object.keys(settings).filter(key => settings[key].source !== 'default');
+        if (overridden.length === 0) return 'defaults';
+        return overridden.map(key => `${key}=${settings[key].value} (${settings[key].source})`).join(', ');
+    });
+    runCheck(results, 'device registry', () => {
+        const { deviceRegistry } = require('./lib/deviceRegistry');
+        const active = deviceRegistry.getActiveSerialNumbers().length;
+        if (active === 0) throw new Error('No active devices');
+        return `${active} active devices from ${deviceRegistry.source || 'generated fleet'}`;
+    });
+    runCheck(results, 'upstreams and tokens', () => {
+        const { upstreamPool } = require('./lib/upstreamPool');
+        upstreamPool.lanes.forEach(lane => new URL(lane.baseUrl));
+        return upstreamPool.lanes.map(lane => `${lane.name} → ${lane.baseUrl}`).join(', ');
+    });
+    runCheck(results, 'alert rules', () => {
+        const { alertManager } = require('./services/alertManager');
+        return `${alertManager.rules.length} rules from ${config.ALERT_RULES_PATH || 'built-in defaults'}`;
+    });
+    runCheck(results, 'schedule', () => {
+        const { scheduler } = require('./services/scheduler');
+        return scheduler.describe();
+    });
+    runCheck(results, 'api access', () => {
+        const { authenticator } = require('./lib/auth');
+        if (!authenticator.enabled) return 'open (AUTH_USERS_PATH unset)';
+        return `${authenticator.users.length} users, ${authenticator.apiKeys.length} API keys from ${config.AUTH_USERS_PATH}`;
+    });
+    runCheck(results, 'data directory', () => {
+        fs.mkdirSync(config.DATA_DIR, { recursive: true });
+        fs.accessSync(config.DATA_DIR, fs.constants.W_OK);
+        return config.DATA_DIR;
+    });
 
+    if (format === 'json') {
+        writeOutput(JSON.stringify(results, null, 2) + '\n', options.out);
+    } else {
+        const rows = results.map(result => ({ ...result, ok: result.ok ? 'ok' : 'FAIL' }));
+        writeOutput(formatRows(rows, 'table', ['ok', 'check', 'detail']), options.out);
+    }
+    return results.every(result => result.ok) ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+}
+
+/**
+ * hash-password: print the scrypt hash of a secret for AUTH_USERS_PATH.
+ * Without a secret a random API key (`<name>.<secret>`) is generated and
+ * printed with its users-file entry.
+ * @param {string} secret - Password or API key secret
+ * @param {Object} options - CLI options (--name: API key name, default "api")
+ * @returns {Promise<number>} Exit code
+ */
+async function hashPasswordCommand(secret, options) {
+    const crypto = require('crypto');
+    const { hashSecret } = require('./lib/auth');
+    if (secret === undefined) {
+        const name = typeof options.name === 'string' ? options.name : 'api';
+        const keySecret = crypto.randomBytes(24).toString('base64url');
+        const entry = { name, key: hashSecret(keySecret), role: 'viewer' };
+        writeOutput(`key:   ${name}.${keySecret}\nentry: ${JSON.stringify(entry)}\n`);
+    } else {
+        writeOutput(`${hashSecret(String(secret))}\n`);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function main() {
+    const { positionals, options } = parseArgv(process.argv.slice(2));
+    const command = positionals[0] || 'aggregate';
+    options.server = typeof options.server === 'string'
+        ? options.server.replace(/\/$/, '')
+        : `http://localhost:${config.SERVER_PORT}`;
+    options.apiKey = typeof options['api-key'] === 'string' ? options['api-key'] : config.CLI_API_KEY;
+
+    // Keep stdout for the formatted output
+    if (options.format && !options.out) {
+        console.log = console.error;
+    }
+
+    if (!COMMANDS.includes(command)) {
+        console.error(`Unknown command "${command}" (expected ${COMMANDS.join(', ')})`);
+        process.exitCode = EXIT_CODES.ERROR;
+        return;
+    }
+
+    try {
+        switch (command) {
+            case 'status':
+                process.exitCode = await statusCommand(options);
+                break;
+            case 'history':
+                process.exitCode = await historyCommand(options);
+                break;
+            case 'validate-config':
+                process.exitCode = await validateConfigCommand(options);
+                break;
+            case 'hash-password':
+                process.exitCode = await hashPasswordCommand(positionals[1], options);
+                break;
+            default:
+                process.exitCode = await aggregateCommand(options);
+        }
     } catch (error) {
         console.error('Fatal error:', error.message);
-        process.exit(1);
+        process.exitCode = EXIT_CODES.ERROR;
     }
 }
 
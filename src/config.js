@@ -1,23 +1,101 @@
 /**
  * Configuration for EnergyGrid Data Aggregator
+ *
+ * The settings listed in lib/runtimeConfig.js can also be set from
+ * CONFIG_PATH, the environment or PATCH /api/config without a restart.
  */
+const path = require('path');
+
+/**
+ * Read a non-negative integer setting from the environment
+ * @param {string} name - Variable name
+ * @param {number|null} fallback - Value when the variable is unset
+ * @returns {number|null}
+ */
+function envInteger(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') return fallback;
+    if (!/^\d+$/.test(raw.trim())) {
+        throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+    }
+    return parseInt(raw, 10);
+}
+
 module.exports = {
     // API Configuration
     API_BASE_URL: process.env.API_BASE_URL || 'http://localhost:3001',
     API_ENDPOINT: '/device/real/query',
     SECRET_TOKEN: process.env.SECRET_TOKEN || 'interview_token_123',
+    SECRET_TOKEN_FILE: process.env.SECRET_TOKEN_FILE || null, // Mounted secrets file; overrides SECRET_TOKEN
+    TOKEN_RELOAD_INTERVAL_MS: 2000,     // How often token files are checked for changes
+    TOKEN_ROTATION_OVERLAP_MS: envInteger('TOKEN_ROTATION_OVERLAP_MS', 300000), // Mock API: old token stays accepted this long after a rotation
+    SIGNATURE_SCHEME: process.env.SIGNATURE_SCHEME || 'md5', // md5 | hmac-sha256 | hmac-sha256-body
+    REPLAY_WINDOW_MS: envInteger('REPLAY_WINDOW_MS', 300000), // Mock API: reject timestamps further off than this
+
+    // Mock API Simulator (production.js serves the mock on the same port)
+    SIMULATOR_SEED: process.env.SIMULATOR_SEED || 'energygrid',
+    SIMULATOR_SCENARIO: process.env.SIMULATOR_SCENARIO || 'normal', // normal | flaky | slow | malformed | partial | auth | chaos
+    SIMULATOR_ADMIN_ENABLED: process.env.SIMULATOR_ADMIN_ENABLED === 'true', // Mount /admin/simulator
+
+    // Upstream Lanes (JSON file of { name, baseUrl, token }; unset = one lane on the values above)
+    UPSTREAMS_PATH: process.env.UPSTREAMS_PATH || null,
+    LANE_FAILOVER_THRESHOLD: 3, // Consecutive failures before a lane is taken out of a run
 
     // Rate Limiting
     RATE_LIMIT_MS: 1100, // 1100ms to ensure we stay under 1 req/sec with buffer for single-server
+    RATE_LIMIT_ADAPTIVE: process.env.RATE_LIMIT_ADAPTIVE === 'true', // Learn the interval from 429s
+    RATE_LIMIT_MIN_MS: 1000,  // Adaptive mode never goes faster than this
+    RATE_LIMIT_MAX_MS: 10000, // ...or slower than this
 
     // Batch Configuration
     BATCH_SIZE: 10,      // Max devices per request
-    TOTAL_DEVICES: 500,  // Total devices to fetch
+    TOTAL_DEVICES: 500,  // Size of the generated fleet when no registry file is set
+
+    // Device Registry (JSON or CSV file; unset = generated SN-000..SN-499 fleet)
+    DEVICE_REGISTRY_PATH: process.env.DEVICE_REGISTRY_PATH || null,
+
+    // Site Hierarchy (JSON file of sites and their groups; unset = registry site/group fields)
+    SITES_PATH: process.env.SITES_PATH || null,
 
     // Retry Configuration
     MAX_RETRIES: 3,
     INITIAL_RETRY_DELAY_MS: 1500, // Start with 1.5s for 429 errors
 
+    // Recovery Pass (retry failed batches after the main loop, splitting persistent failures)
+    RECOVERY_ENABLED: process.env.RECOVERY_ENABLED !== 'false',
+    RECOVERY_MAX_REQUESTS: 100,   // Request budget for one recovery pass
+
+    // Storage (run history, telemetry and other local data)
+    DATA_DIR: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+
+    // Telemetry Retention
+    TELEMETRY_RAW_RETENTION_DAYS: 7,      // Raw readings
+    TELEMETRY_HOURLY_RETENTION_DAYS: 365, // Hourly averages
+
+    // KPIs (energy is integrated between readings at most this far apart)
+    KPI_MAX_SAMPLE_GAP_MS: 60 * 60 * 1000,
+
+    // Scheduled Aggregation (set one of them; both unset = manual runs only)
+    SCHEDULE_CRON: process.env.SCHEDULE_CRON || null,             // e.g. '*/5 * * * *'
+    SCHEDULE_INTERVAL_MS: envInteger('SCHEDULE_INTERVAL_MS', null),
+
+    // Alerting
+    ALERT_RULES_PATH: process.env.ALERT_RULES_PATH || null,   // JSON rules file; unset = built-in rules
+    ALERT_WEBHOOK_URL: process.env.ALERT_WEBHOOK_URL || null, // POST alert events here when set
+    ALERT_LOG_FILE: process.env.ALERT_LOG_FILE || null,       // Default: {DATA_DIR}/alerts.log
+
+    // Dashboard API Access (users file enables logins and roles; unset = open /api)
+    AUTH_USERS_PATH: process.env.AUTH_USERS_PATH || null,
+    AUTH_SESSION_TTL_MS: 12 * 60 * 60 * 1000,            // Dashboard login lifetime
+    AUTH_LOGIN_MAX_FAILURES: 5,                          // Failed logins per client before it must wait...
+    AUTH_LOGIN_WINDOW_MS: 15 * 60 * 1000,                // ...until this long after its first failure
+    AUDIT_LOG_FILE: process.env.AUDIT_LOG_FILE || null,  // Default: {DATA_DIR}/audit.log
+    CLI_API_KEY: process.env.ENERGYGRID_API_KEY || null, // Sent by the CLI's server commands
+
+    // Runtime Configuration (JSON file of tunable settings, reloaded on change; unset = defaults and env)
+    CONFIG_PATH: process.env.CONFIG_PATH || null,
+    CONFIG_RELOAD_INTERVAL_MS: 2000,
+
     // Server Configuration
     SERVER_PORT: process.env.PORT || 3000,
     MOCK_API_PORT: 3001,
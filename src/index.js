@@ -6,8 +6,25 @@
  */
 const express = require('express');
 const path = require('path');
-const { aggregateDeviceData } = require('./services/aggregator');
+const { runManager } = require('./services/runManager');
+const { scheduler } = require('./services/scheduler');
+const { rateLimiter } = require('./lib/rateLimiter');
+const { upstreamPool } = require('./lib/upstreamPool');
+const { parseSelection, resolveSelection } = require('./lib/runSelection');
+const devicesRouter = require('./routes/devices');
+const runsRouter = require('./routes/runs');
+const fleetRouter = require('./routes/fleet');
+const scheduleRouter = require('./routes/schedule');
+const streamRouter = require('./routes/stream');
+const alertsRouter = require('./routes/alerts');
+const sitesRouter = require('./routes/sites');
+const kpisRouter = require('./routes/kpis');
+const authRouter = require('./routes/auth');
+const auditRouter = require('./routes/audit');
+const configRouter = require('./routes/config');
+const metricsRouter = require('./routes/metrics');
 const config = require('./config');
+const { authenticator, createAccessControl } = require('./lib/auth');
 
 const app = express();
 
@@ -15,14 +32,9 @@ const app = express();
 app.use(express.static(path.join(__dirname, '..', 'public')));
 app.use(express.json());
 
-// Store for current aggregation state
-let aggregationState = {
-    isRunning: false,
-    progress: 0,
-    devices: [],
-    summary: null,
-    errors: [],
-};
+// Sign-in and roles for /api (open when AUTH_USERS_PATH is unset)
+app.use('/api', createAccessControl({ authenticator }));
+app.use('/api/auth', authRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -31,61 +43,107 @@ app.get('/api/health', (req, res) => {
 
 // Get current state
 app.get('/api/status', (req, res) => {
-    res.json(aggregationState);
+    res.json({
+        ...runManager.getState(),
+        rateLimit: rateLimiter.getStats(),
+        upstreams: upstreamPool.getStats(),
+    });
 });
 
-// Start aggregation
+// Start aggregation: every active device, or the selection in the body
+// ({ sn_list }, { range }, { site }, { tag }, { onlyOffline })
 app.post('/api/aggregate', async (req, res) => {
-    if (aggregationState.isRunning) {
+    if (runManager.isRunning()) {
         return res.status(409).json({ error: 'Aggregation already in progress' });
     }
 
-    // Reset state
-    aggregationState = {
-        isRunning: true,
-        progress: 0,
-        devices: [],
-        summary: null,
-        errors: [],
-        startTime: Date.now(),
-    };
-
-    res.json({ message: 'Aggregation started', status: 'running' });
+    let selection;
+    let serialNumbers;
+    try {
+        selection = parseSelection(req.body);
+        serialNumbers = await resolveSelection(selection);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
     // Run aggregation in background
     try {
-        const report = await aggregateDeviceData((progressData) => {
-            aggregationState.progress = parseFloat(progressData.progress);
-            aggregationState.devices = [...aggregationState.devices, ...progressData.batchResults];
-            aggregationState.onlineCount = progressData.onlineCount;
-            aggregationState.offlineCount = progressData.offlineCount;
-            aggregationState.successCount = progressData.successCount;
-        });
-
-        aggregationState.isRunning = false;
-        aggregationState.summary = report.summary;
-        aggregationState.errors = report.errors || [];
-        aggregationState.progress = 100;
+        runManager.start({ trigger: 'manual', serialNumbers, selection });
+    } catch (error) {
+        return res.status(409).json({ error: error.message });
+    }
+
+    res.json({ message: 'Aggregation started', status: 'running', devices: serialNumbers.length, selection });
+});
 
+// Pause, resume or cancel the run in progress (409 when there is nothing to act on)
+app.post('/api/aggregate/pause', (req, res) => {
+    try {
+        runManager.pause();
+        res.json({ message: 'Aggregation paused', status: 'paused' });
     } catch (error) {
-        aggregationState.isRunning = false;
-        aggregationState.errors.push({ message: error.message });
+        res.status(409).json({ error: error.message });
     }
 });
 
+app.post('/api/aggregate/resume', (req, res) => {
+    try {
+        runManager.unpause();
+        res.json({ message: 'Aggregation resumed', status: 'running' });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+app.post('/api/aggregate/cancel', (req, res) => {
+    try {
+        runManager.cancel();
+        res.json({ message: 'Aggregation cancelling; a partial report follows', status: 'cancelling' });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+// Device registry
+app.use('/api/devices', devicesRouter);
+
+// Run history
+app.use('/api/runs', runsRouter);
+
+// Fleet telemetry
+app.use('/api/fleet', fleetRouter);
+
+// Site hierarchy and rollups
+app.use('/api/sites', sitesRouter);
+
+// Energy, availability and performance KPIs
+app.use('/api/kpis', kpisRouter);
+
+// Recurring aggregation schedule
+app.use('/api/schedule', scheduleRouter);
+
+// Live progress stream (Server-Sent Events)
+app.use('/api/stream', streamRouter);
+
+// Alerts
+app.use('/api/alerts', alertsRouter);
+
+// Access audit log
+app.use('/api/audit', auditRouter);
+
+// Runtime configuration
+app.use('/api/config', configRouter);
+
+// Prometheus metrics (viewer role when sign-in is required)
+app.use('/metrics', createAccessControl({ authenticator }), metricsRouter);
+
 // Reset state
 app.post('/api/reset', (req, res) => {
-    if (aggregationState.isRunning) {
+    if (runManager.isRunning()) {
         return res.status(409).json({ error: 'Cannot reset while aggregation is running' });
     }
 
-    aggregationState = {
-        isRunning: false,
-        progress: 0,
-        devices: [],
-        summary: null,
-        errors: [],
-    };
+    runManager.reset();
 
     res.json({ message: 'State reset successfully' });
 });
@@ -96,12 +154,24 @@ app.get('/', (req, res) => {
 });
 
 // Start server
-app.listen(config.SERVER_PORT, () => {
+app.listen(config.SERVER_PORT, async () => {
     console.log('═══════════════════════════════════════════════════════════');
     console.log('         EnergyGrid Data Aggregator - Web Dashboard');
     console.log('═══════════════════════════════════════════════════════════');
     console.log(`\n🌐 Dashboard: http://localhost:${config.SERVER_PORT}`);
     console.log(`📡 API Endpoint: http://localhost:${config.SERVER_PORT}/api`);
+    if (authenticator.enabled) {
+        console.log(`🔑 API access: sign-in required (${config.AUTH_USERS_PATH})`);
+    }
     console.log(`\n⚠️  Make sure Mock API is running on port ${config.MOCK_API_PORT}`);
     console.log('   Start it with: npm run start:server\n');
+
+    scheduler.start();
+    console.log(`⏰ Schedule: ${scheduler.describe()}\n`);
+
+    const incomplete = await runManager.findIncompleteRuns();
+    incomplete.forEach(run => {
+        console.log(`⏯️  Incomplete run ${run.runId} (${run.completedBatches}/${run.totalBatches} batches)`);
+        console.log(`   Resume it with: POST /api/runs/${run.runId}/resume\n`);
+    });
 });
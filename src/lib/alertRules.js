@@ -0,0 +1,119 @@
+/**
+ * Alert Rules Module
+ *
+ * Rule definitions evaluated against each aggregation report. Every rule
+ * has an `id`, a `type`, an optional `severity` and type-specific params:
+ * - device_offline_streak   { consecutiveRuns }   device Offline in N runs in a row
+ * - site_output_below       { thresholdKw, site } site total below threshold (all sites if no site)
+ * - zero_power_online       { hoursUtc }          device reports 0 kW while Online, optionally
+ *                                                 only for readings within [from, to) UTC hours
+ *
+ * zero_power_online is not a default rule: solar devices report 0 kW every
+ * night while Online, so it needs a daylight window to be useful.
+ */
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const DEFAULT_RULES = [
+    { id: 'device-offline-3-runs', type: 'device_offline_streak', consecutiveRuns: 3, severity: 'warning' },
+];
+
+/**
+ * Evaluators return the findings of one rule: { subject, message, value }
+ */
+const EVALUATORS = {
+    device_offline_streak(rule, { streaks }) {
+        return Object.entries(streaks)
+            .filter(([, streak]) => streak >= rule.consecutiveRuns)
+            .map(([sn, streak]) => ({
+                subject: sn,
+                message: `${sn} offline for ${streak} consecutive runs`,
+                value: streak,
+            }));
+    },
+
+    site_output_below(rule, { devices, registry }) {
+        const siteTotals = new Map();
+        devices.forEach(device => {
+            const entry = registry.get(device.sn);
+            if (!entry || !entry.site) return;
+            if (rule.site && entry.site !== rule.site) return;
+            siteTotals.set(entry.site, (siteTotals.get(entry.site) || 0) + device.powerW / 1000);
+        });
+
+        return [...siteTotals]
+            .filter(([, totalKw]) => totalKw < rule.thresholdKw)
+            .map(([site, totalKw]) => ({
+                subject: site,
+                message: `Site ${site} output ${totalKw.toFixed(2)} kW is below ${rule.thresholdKw} kW`,
+                value: parseFloat(totalKw.toFixed(3)),
+            }));
+    },
+
+    zero_power_online(rule, { devices }) {
+        const inWindow = device => {
+            if (!rule.hoursUtc) return true;
+            const hour = new Date(device.last_updated).getUTCHours();
+            return hour >= rule.hoursUtc[0] && hour < rule.hoursUtc[1];
+        };
+        return devices
+            .filter(device => device.status === 'Online' && device.powerW === 0 && inWindow(device))
+            .map(device => ({
+                subject: device.sn,
+                message: `${device.sn} is Online but reports 0 kW`,
+                value: 0,
+            }));
+    },
+};
+
+/**
+ * Validate a rule definition
+ * @param {Object} rule - Rule to check
+ * @returns {Object} The rule with defaults applied
+ */
+function validateRule(rule) {
+    if (!rule || !rule.id) {
+        throw new Error('Alert rule needs an id');
+    }
+    if (!EVALUATORS[rule.type]) {
+        throw new Error(`Unknown alert rule type for ${rule.id}: ${rule.type}`);
+    }
+
+    const severity = rule.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity for ${rule.id}: ${severity}`);
+    }
+    if (rule.type === 'device_offline_streak' &&
+        (!Number.isInteger(rule.consecutiveRuns) || rule.consecutiveRuns < 1)) {
+        throw new Error(`${rule.id}: consecutiveRuns must be a positive integer`);
+    }
+    if (rule.type === 'site_output_below' &&
+        (typeof rule.thresholdKw !== 'number' || rule.thresholdKw < 0)) {
+        throw new Error(`${rule.id}: thresholdKw must be a non-negative number`);
+    }
+    if (rule.type === 'zero_power_online' && rule.hoursUtc !== undefined &&
+        !(Array.isArray(rule.hoursUtc) && rule.hoursUtc.length === 2 &&
+            rule.hoursUtc.every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 24) &&
+            rule.hoursUtc[0] < rule.hoursUtc[1])) {
+        throw new Error(`${rule.id}: hoursUtc must be [from, to] with whole hours 0-24, from before to`);
+    }
+
+    return { ...rule, severity };
+}
+
+/**
+ * Evaluate a rule
+ * @param {Object} rule - Validated rule
+ * @param {Object} context - { devices, registry, streaks }
+ * @returns {Object[]} Findings ({ subject, message, value })
+ */
+function evaluateRule(rule, context) {
+    return EVALUATORS[rule.type](rule, context);
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    RULE_TYPES: Object.keys(EVALUATORS),
+    validateRule,
+    evaluateRule,
+};
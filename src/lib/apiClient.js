@@ -3,12 +3,16 @@
  * 
  * Handles HTTP requests to the EnergyGrid API with:
  * - Automatic signature generation
- * - Retry logic with exponential backoff
+ * - Retry logic with exponential backoff (or the server's Retry-After)
+ * - Rate limit feedback to the RateLimiter
+ * - One token reload and retry on 401
  * - Error handling
  */
 const fetch = require('node-fetch');
 const config = require('../config');
 const { generateAuthHeaders } = require('./signatureGenerator');
+const metrics = require('./metrics');
+const { upstreamPool } = require('./upstreamPool');
 
 /**
  * Sleep for specified milliseconds
@@ -21,43 +25,73 @@ function sleep(ms) {
 /**
  * Make a POST request to fetch device data
  * @param {string[]} snList - Array of serial numbers
+ * @param {UpstreamLane} lane - Upstream account to call (default: the first lane)
  * @param {number} retryCount - Current retry attempt
+ * @param {boolean} tokenRefreshed - Whether a 401 already triggered a token reload
  * @returns {Promise<Object>} API response data
  */
-async function fetchDeviceData(snList, retryCount = 0) {
+async function fetchDeviceData(snList, lane = upstreamPool.lanes[0], retryCount = 0, tokenRefreshed = false) {
     const url = config.API_ENDPOINT;
-    const fullUrl = `${config.API_BASE_URL}${url}`;
+    const fullUrl = `${lane.baseUrl}${url}`;
 
-    // Generate fresh auth headers for each request
-    const authHeaders = generateAuthHeaders(url, config.SECRET_TOKEN);
+    const body = JSON.stringify({ sn_list: snList });
+
+    // Generate fresh auth headers for each request (HMAC schemes add a nonce)
+    const authHeaders = generateAuthHeaders(url, lane.token, {
+        scheme: lane.signatureScheme,
+        method: 'POST',
+        body,
+    });
 
     const requestOptions = {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
-            'timestamp': authHeaders.timestamp,
-            'signature': authHeaders.signature,
+            ...authHeaders,
         },
-        body: JSON.stringify({ sn_list: snList }),
+        body,
+    };
+
+    // Observed once per request, in seconds as the metric name says
+    const sentAt = Date.now();
+    let observed = false;
+    const observeDuration = () => {
+        if (observed) return;
+        observed = true;
+        metrics.upstreamRequestDurationSeconds.observe({ lane: lane.name }, (Date.now() - sentAt) / 1000);
     };
 
     try {
         const response = await fetch(fullUrl, requestOptions);
+        observeDuration();
+        metrics.upstreamRequestsTotal.inc({ lane: lane.name, status: metrics.statusLabel(response.status) });
+        const retryAfterMs = lane.limiter.observeResponse(response);
 
         // Handle rate limit exceeded
         if (response.status === 429) {
             if (retryCount < config.MAX_RETRIES) {
-                const delay = config.INITIAL_RETRY_DELAY_MS * Math.pow(2, retryCount);
-                console.log(`[Retry] Rate limited. Waiting ${delay}ms before retry ${retryCount + 1}/${config.MAX_RETRIES}`);
+                const backoff = config.INITIAL_RETRY_DELAY_MS * Math.pow(2, retryCount);
+                const delay = Math.max(backoff, retryAfterMs || 0);
+                console.log(`[Retry] Rate limited on lane ${lane.name}. Waiting ${delay}ms before retry ${retryCount + 1}/${config.MAX_RETRIES}`);
+                metrics.upstreamRetriesTotal.inc({ reason: 'rate_limit' });
                 await sleep(delay);
-                return fetchDeviceData(snList, retryCount + 1);
+                return fetchDeviceData(snList, lane, retryCount + 1, tokenRefreshed);
             }
             throw new Error(`Rate limit exceeded after ${config.MAX_RETRIES} retries`);
         }
 
-        // Handle authentication errors
+        // Handle authentication errors: the token may have been rotated, so
+        // reload it and retry once before giving up
         if (response.status === 401) {
             const errorData = await response.json();
+            if (!tokenRefreshed) {
+                const changed = lane.refreshToken();
+                console.log(`[Retry] Authentication failed on lane ${lane.name}${changed ? ', token reloaded' : ''}. Retrying once`);
+                metrics.upstreamRetriesTotal.inc({ reason: 'auth' });
+                // Keep the retry inside the upstream's rate limit
+                await sleep(lane.limiter.intervalMs);
+                return fetchDeviceData(snList, lane, retryCount, true);
+            }
             throw new Error(`Authentication failed: ${errorData.error}`);
         }
 
@@ -71,13 +105,17 @@ async function fetchDeviceData(snList, retryCount = 0) {
         return data;
 
     } catch (error) {
-        // Handle network errors with retry
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
+        // Handle network errors with retry (node-fetch reports refused
+        // connections, resets and DNS failures as system FetchErrors)
+        if (error.name === 'FetchError' && error.type === 'system') {
+            observeDuration();
+            metrics.upstreamRequestsTotal.inc({ lane: lane.name, status: 'network_error' });
             if (retryCount < config.MAX_RETRIES) {
                 const delay = config.INITIAL_RETRY_DELAY_MS * Math.pow(2, retryCount);
-                console.log(`[Retry] Network error. Waiting ${delay}ms before retry ${retryCount + 1}/${config.MAX_RETRIES}`);
+                console.log(`[Retry] Network error on lane ${lane.name}. Waiting ${delay}ms before retry ${retryCount + 1}/${config.MAX_RETRIES}`);
+                metrics.upstreamRetriesTotal.inc({ reason: 'network' });
                 await sleep(delay);
-                return fetchDeviceData(snList, retryCount + 1);
+                return fetchDeviceData(snList, lane, retryCount + 1, tokenRefreshed);
             }
         }
         throw error;
@@ -0,0 +1,51 @@
+/**
+ * Audit Log Module
+ *
+ * Append-only JSONL record of access decisions (denied requests, logins and
+ * logouts) and runtime config changes. Written to AUDIT_LOG_FILE (default:
+ * {DATA_DIR}/audit.log).
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { readJsonLines } = require('./jsonLines');
+
+class AuditLog {
+    constructor(filePath = config.AUDIT_LOG_FILE || path.join(config.DATA_DIR, 'audit.log')) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Append an entry, stamped with the current time
+     * @param {Object} entry - { event, user, method, path, ... }
+     * @returns {Promise<Object>} The stored entry
+     */
+    async record(entry) {
+        const stored = { timestamp: new Date().toISOString(), ...entry };
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, JSON.stringify(stored) + '\n');
+        return stored;
+    }
+
+    /**
+     * Recent entries, newest first
+     * @param {Object} options - List options
+     * @param {number} options.limit - Maximum entries to return
+     * @param {string} options.event - Only entries of this event type
+     * @returns {Promise<Object[]>} Entries
+     */
+    async list({ limit, event } = {}) {
+        const entries = (await readJsonLines(this.filePath))
+            .filter(entry => !event || entry.event === event)
+            .reverse();
+        return limit ? entries.slice(0, limit) : entries;
+    }
+}
+
+// Singleton instance shared by access control and the audit route
+const auditLog = new AuditLog();
+
+module.exports = {
+    AuditLog,
+    auditLog,
+};
@@ -0,0 +1,409 @@
+/**
+ * Access Control Module
+ *
+ * Protects the /api routes and /metrics when a users file is configured
+ * (AUTH_USERS_PATH):
+ *
+ * {
+ *   "users":   [{ "username": "ana", "password": "scrypt$...", "role": "operator" }],
+ *   "apiKeys": [{ "name": "grafana", "key": "scrypt$...", "role": "viewer" }]
+ * }
+ *
+ * Passwords and keys are stored as scrypt hashes (`node src/cli.js hash-password`).
+ * The dashboard logs in for a session cookie; scripts send an API key in the
+ * X-API-Key header (or as a Bearer token). An API key is `<name>.<secret>`:
+ * the name picks the entry, so a request costs at most one scrypt, and only
+ * the secret is hashed in the file. Roles are cumulative:
+ * viewer reads, operator also runs aggregations, admin also changes settings.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { auditLog } = require('./auditLog');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'energygrid_session';
+
+// Reachable without credentials
+const PUBLIC_ROUTES = [
+    { method: 'GET', path: /^\/api\/health$/ },
+    { method: 'GET', path: /^\/api\/auth\/me$/ },
+    { method: 'POST', path: /^\/api\/auth\/login$/ },
+];
+
+// First match wins; any other request that changes state needs admin
+// (device registry, schedule, reset, configuration)
+const ACCESS_RULES = [
+    { method: 'GET', path: /^\/api\/audit/, role: 'admin' },
+    // Prometheus scrapers authenticate with a viewer API key
+    { method: 'GET', path: /^\/metrics$/, role: 'viewer' },
+    { method: 'GET', path: /./, role: 'viewer' },
+    { method: 'POST', path: /^\/api\/auth\/logout$/, role: 'viewer' },
+    { method: 'POST', path: /^\/api\/aggregate(\/(pause|resume|cancel))?$/, role: 'operator' },
+    { method: 'POST', path: /^\/api\/runs\/[^/]+\/resume$/, role: 'operator' },
+    { method: 'POST', path: /^\/api\/alerts\/[^/]+\/acknowledge$/, role: 'operator' },
+];
+
+/**
+ * Hash a password or API key for the users file
+ * @param {string} secret - Plain text secret
+ * @returns {string} scrypt$<salt>$<hash> (hex)
+ */
+function hashSecret(secret) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(secret, salt, 32);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * scrypt on the thread pool
+ * @param {string} secret - Plain text secret
+ * @param {Buffer} salt - Salt
+ * @param {number} length - Key length in bytes
+ * @returns {Promise<Buffer>} Derived key
+ */
+function scrypt(secret, salt, length) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(secret, salt, length, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+}
+
+/**
+ * Check a secret against a stored hash in constant time. scrypt runs on the
+ * thread pool, not the event loop.
+ * @param {string} secret - Plain text secret
+ * @param {string} stored - Result of hashSecret
+ * @returns {Promise<boolean>}
+ */
+async function verifySecret(secret, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash || typeof secret !== 'string') return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(secret, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Split an API key into the name of its entry and its secret
+ * @param {string} key - `<name>.<secret>`
+ * @returns {Object|null} { name, secret }, null when the key has no name
+ */
+function parseApiKey(key) {
+    const separator = key.lastIndexOf('.');
+    if (separator <= 0 || separator === key.length - 1) return null;
+    return { name: key.slice(0, separator), secret: key.slice(separator + 1) };
+}
+
+/**
+ * Whether a role includes another (admin includes operator includes viewer)
+ * @param {string} role - Role held
+ * @param {string} required - Role needed
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Path as Express routes it: case-insensitive, repeated and trailing slashes
+ * ignored. Rules are matched against this form so /api/AUDIT/ cannot slip
+ * past the rule for /api/audit.
+ * @param {string} path - Request path
+ * @returns {string} Normalized path
+ */
+function normalizePath(path) {
+    return path.toLowerCase().replace(/\/{2,}/g, '/').replace(/(.)\/+$/, '$1');
+}
+
+/**
+ * Role needed for a request, or null for public routes
+ * @param {string} method - HTTP method
+ * @param {string} path - Full path (/api/... or /metrics)
+ * @returns {string|null} Role
+ */
+function requiredRole(method, path) {
+    const normalized = normalizePath(path);
+    const matches = rule => (rule.method === method || (rule.method === 'GET' && method === 'HEAD')) && rule.path.test(normalized);
+    if (PUBLIC_ROUTES.some(matches)) return null;
+    const rule = ACCESS_RULES.find(matches);
+    return rule ? rule.role : 'admin';
+}
+
+/**
+ * Read one cookie from a request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Cookie value
+ */
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+    const pair = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return pair ? decodeURIComponent(pair.slice(name.length + 1)) : undefined;
+}
+
+/**
+ * Validate a user or API key entry of the users file
+ * @param {Object} entry - Raw entry
+ * @param {string} nameField - 'username' or 'name'
+ * @param {string} secretField - 'password' or 'key'
+ * @returns {Object} The entry
+ */
+function validateEntry(entry, nameField, secretField) {
+    const name = entry && entry[nameField];
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new Error(`Every entry needs a ${nameField}`);
+    }
+    if (!ROLES.includes(entry.role)) {
+        throw new Error(`${name}: role must be one of ${ROLES.join(', ')}`);
+    }
+    if (!/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/.test(entry[secretField] || '')) {
+        throw new Error(`${name}: ${secretField} must be a hash from "node src/cli.js hash-password"`);
+    }
+    return { ...entry, [nameField]: name.trim() };
+}
+
+class Authenticator {
+    constructor({
+        filePath = config.AUTH_USERS_PATH,
+        sessionTtlMs = config.AUTH_SESSION_TTL_MS,
+        maxLoginFailures = config.AUTH_LOGIN_MAX_FAILURES,
+        loginWindowMs = config.AUTH_LOGIN_WINDOW_MS,
+    } = {}) {
+        this.filePath = filePath || null;
+        this.sessionTtlMs = sessionTtlMs;
+        this.maxLoginFailures = maxLoginFailures;
+        this.loginWindowMs = loginWindowMs;
+        this.users = [];
+        this.apiKeys = [];
+        this.sessions = new Map();
+        // Failed logins per client: { count, since }
+        this.loginFailures = new Map();
+        // SHA-256 of keys already verified, so scrypt runs once per key
+        this.verifiedKeys = new Map();
+    }
+
+    /**
+     * Whether the API is protected (a users file is configured)
+     * @returns {boolean}
+     */
+    get enabled() {
+        return Boolean(this.filePath);
+    }
+
+    /**
+     * Load users and API keys from the users file
+     * @returns {Authenticator} this authenticator
+     */
+    load() {
+        if (!this.enabled) return this;
+
+        const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.users = (contents.users || []).map(user => validateEntry(user, 'username', 'password'));
+        this.apiKeys = (contents.apiKeys || []).map(key => validateEntry(key, 'name', 'key'));
+        const names = this.apiKeys.map(key => key.name);
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        if (duplicate) {
+            throw new Error(`API key name ${duplicate} is used more than once`);
+        }
+        this.verifiedKeys.clear();
+        if (this.users.length + this.apiKeys.length === 0) {
+            throw new Error(`${this.filePath} has no users or API keys`);
+        }
+
+        console.log(`🔑 Loaded ${this.users.length} users and ${this.apiKeys.length} API keys from ${this.filePath}`);
+        return this;
+    }
+
+    /**
+     * Start a session for a username and password
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object|null>} { token, username, role, expiresAt }, null when the credentials are wrong
+     */
+    async login(username, password) {
+        const user = this.users.find(entry => entry.username === username);
+        // Hash anyway for unknown users so timing does not reveal which names exist
+        const valid = await verifySecret(password, user ? user.password : `scrypt$00$${'0'.repeat(64)}`);
+        if (!user || !valid) return null;
+
+        this.pruneSessions();
+        const session = {
+            token: crypto.randomBytes(32).toString('hex'),
+            username: user.username,
+            role: user.role,
+            expiresAt: Date.now() + this.sessionTtlMs,
+        };
+        this.sessions.set(session.token, session);
+        return session;
+    }
+
+    /**
+     * End a session
+     * @param {string} token - Session token
+     */
+    logout(token) {
+        this.sessions.delete(token);
+    }
+
+    /**
+     * Drop expired sessions
+     * @param {number} now - Current time (ms)
+     */
+    pruneSessions(now = Date.now()) {
+        this.sessions.forEach((session, token) => {
+            if (session.expiresAt <= now) this.sessions.delete(token);
+        });
+    }
+
+    /**
+     * How long a client must wait before trying to log in again
+     * @param {string} client - Client key (IP address)
+     * @param {number} now - Current time (ms)
+     * @returns {number} Milliseconds; 0 when a login may be attempted
+     */
+    loginRetryAfter(client, now = Date.now()) {
+        const failures = this.loginFailures.get(client);
+        if (!failures) return 0;
+        if (now - failures.since >= this.loginWindowMs) {
+            this.loginFailures.delete(client);
+            return 0;
+        }
+        return failures.count >= this.maxLoginFailures ? failures.since + this.loginWindowMs - now : 0;
+    }
+
+    /**
+     * Count a login attempt of a client; a success clears its failures
+     * @param {string} client - Client key (IP address)
+     * @param {boolean} succeeded - Whether the credentials were right
+     * @param {number} now - Current time (ms)
+     */
+    recordLoginAttempt(client, succeeded, now = Date.now()) {
+        if (succeeded) {
+            this.loginFailures.delete(client);
+            return;
+        }
+        const failures = this.loginFailures.get(client);
+        if (failures && now - failures.since < this.loginWindowMs) {
+            failures.count++;
+        } else {
+            this.loginFailures.set(client, { count: 1, since: now });
+        }
+    }
+
+    /**
+     * Identify the caller of a request from its session cookie or API key
+     * @param {Object} req - Express request
+     * @returns {Promise<Object|null>} { name, role, via: 'session'|'apiKey' }
+     */
+    async authenticate(req) {
+        const token = readCookie(req, SESSION_COOKIE);
+        if (token) {
+            const session = this.sessions.get(token);
+            if (session && session.expiresAt > Date.now()) {
+                return { name: session.username, role: session.role, via: 'session' };
+            }
+            this.sessions.delete(token);
+        }
+
+        const authorization = req.get('authorization') || '';
+        const key = req.get('x-api-key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : null);
+        if (key) {
+            const entry = await this.verifyApiKey(key, req.ip);
+            return entry && { name: entry.name, role: entry.role, via: 'apiKey' };
+        }
+        return null;
+    }
+
+    /**
+     * Find the entry of an API key. Keys not seen before are checked against
+     * the one entry they name; failures count toward the client's login
+     * throttle, and a throttled client's new keys are not checked at all.
+     * @param {string} key - `<name>.<secret>`
+     * @param {string} client - Client key (IP address)
+     * @returns {Promise<Object|null>} The API key entry
+     */
+    async verifyApiKey(key, client) {
+        const digest = crypto.createHash('sha256').update(key).digest('hex');
+        if (this.verifiedKeys.has(digest)) return this.verifiedKeys.get(digest);
+        if (this.loginRetryAfter(client) > 0) return null;
+
+        const parsed = parseApiKey(key);
+        const entry = parsed && this.apiKeys.find(candidate => candidate.name === parsed.name);
+        const valid = Boolean(entry) && await verifySecret(parsed.secret, entry.key);
+        this.recordLoginAttempt(client, valid);
+        if (!valid) return null;
+
+        this.verifiedKeys.set(digest, entry);
+        return entry;
+    }
+}
+
+/**
+ * Middleware for /api and /metrics that lets a request through when its caller holds the
+ * role the route needs, and writes denials to the audit log. Sets req.user.
+ * Does nothing when no users file is configured.
+ * @param {Object} options
+ * @param {Authenticator} options.authenticator - Credentials and sessions
+ * @param {AuditLog} options.audit - Where denials are recorded
+ * @returns {Function} Express middleware
+ */
+function createAccessControl({ authenticator, audit = auditLog }) {
+    return async (req, res, next) => {
+        if (!authenticator.enabled) return next();
+
+        const path = normalizePath(req.originalUrl.split('?')[0]);
+        const role = requiredRole(req.method, path);
+        let user;
+        try {
+            user = await authenticator.authenticate(req);
+        } catch (error) {
+            return next(error);
+        }
+        req.user = user;
+        if (!role) return next();
+
+        if (user && hasRole(user.role, role)) return next();
+
+        // Too many failed logins or API keys from this client
+        const retryAfterMs = user ? 0 : authenticator.loginRetryAfter(req.ip);
+        const status = user ? 403 : (retryAfterMs > 0 ? 429 : 401);
+        audit.record({
+            event: 'denied',
+            status,
+            user: user ? user.name : null,
+            role: user ? user.role : null,
+            required: role,
+            method: req.method,
+            path,
+            ip: req.ip,
+        }).catch(error => console.error(`Audit log error: ${error.message}`));
+
+        if (status === 429) {
+            res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+            return res.status(status).json({ error: 'Too many failed logins, try again later' });
+        }
+        res.status(status).json({
+            error: user ? `${role} role required` : 'Authentication required',
+        });
+    };
+}
+
+// Singleton instance shared by the entry points and the auth routes
+const authenticator = new Authenticator().load();
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    ACCESS_RULES,
+    Authenticator,
+    authenticator,
+    createAccessControl,
+    hashSecret,
+    verifySecret,
+    parseApiKey,
+    hasRole,
+    requiredRole,
+    normalizePath,
+    readCookie,
+};
@@ -35,18 +35,17 @@ function createBatches(items, batchSize = config.BATCH_SIZE) {
 
 /**
  * Create batches of serial numbers for processing
- * @param {number} totalDevices - Total number of devices
+ * @param {string[]} serialNumbers - Serial numbers to fetch
  * @param {number} batchSize - Size of each batch
  * @returns {Object} Batch information
  */
-function prepareBatches(totalDevices = config.TOTAL_DEVICES, batchSize = config.BATCH_SIZE) {
-    const serialNumbers = generateSerialNumbers(totalDevices);
+function prepareBatches(serialNumbers = generateSerialNumbers(), batchSize = config.BATCH_SIZE) {
     const batches = createBatches(serialNumbers, batchSize);
 
     return {
         serialNumbers,
         batches,
-        totalDevices,
+        totalDevices: serialNumbers.length,
         batchSize,
         totalBatches: batches.length,
     };
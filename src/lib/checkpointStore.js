@@ -0,0 +1,105 @@
+/**
+ * Checkpoint Store Module
+ *
+ * Keeps the progress of in-flight runs on disk so an interrupted run can be
+ * resumed instead of starting over. One file per run:
+ * {DATA_DIR}/checkpoints/{runId}.json
+ * { runId, trigger, startedAt, serialNumbers, batchSize, selection, completedBatches, devices, updatedAt }
+ *
+ * The file is removed once the run finishes.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+class CheckpointStore {
+    constructor(dataDir = config.DATA_DIR) {
+        this.dir = path.join(dataDir, 'checkpoints');
+    }
+
+    /**
+     * Write a checkpoint atomically (temp file + rename)
+     * @param {Object} checkpoint - Run checkpoint
+     */
+    async save(checkpoint) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        const file = this.file(checkpoint.runId);
+        const tmpFile = `${file}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify({
+            ...checkpoint,
+            updatedAt: new Date().toISOString(),
+        }));
+        await fs.promises.rename(tmpFile, file);
+    }
+
+    /**
+     * Load the checkpoint of a run
+     * @param {string} runId - Run id
+     * @returns {Promise<Object|null>} Checkpoint, or null if none exists
+     */
+    async get(runId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file(runId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * All stored checkpoints, most recently updated first
+     * @returns {Promise<Object[]>} Checkpoints
+     */
+    async list() {
+        const files = await fs.promises.readdir(this.dir).catch(() => []);
+        const checkpoints = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const checkpoint = await this.get(path.basename(file, '.json'));
+            if (checkpoint) checkpoints.push(checkpoint);
+        }
+        return checkpoints.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Delete the checkpoint of a run
+     * @param {string} runId - Run id
+     */
+    async remove(runId) {
+        await fs.promises.rm(this.file(runId), { force: true });
+    }
+
+    /**
+     * Path of a run's checkpoint file
+     * @param {string} runId - Run id
+     * @returns {string} File path
+     */
+    file(runId) {
+        return path.join(this.dir, `${path.basename(runId)}.json`);
+    }
+}
+
+/**
+ * Short description of a checkpoint for listings
+ * @param {Object} checkpoint - Run checkpoint
+ * @returns {Object} { runId, trigger, startedAt, updatedAt, completedBatches, totalBatches }
+ */
+function describeCheckpoint(checkpoint) {
+    return {
+        runId: checkpoint.runId,
+        trigger: checkpoint.trigger,
+        startedAt: checkpoint.startedAt,
+        updatedAt: checkpoint.updatedAt,
+        completedBatches: checkpoint.completedBatches.length,
+        totalBatches: Math.ceil(checkpoint.serialNumbers.length / checkpoint.batchSize),
+    };
+}
+
+// Singleton instance shared by the run manager and the API routes
+const checkpointStore = new CheckpointStore();
+
+module.exports = {
+    CheckpointStore,
+    checkpointStore,
+    describeCheckpoint,
+};
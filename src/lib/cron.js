@@ -0,0 +1,136 @@
+/**
+ * Cron Expression Module
+ *
+ * Minimal parser for standard 5-field cron expressions
+ * (minute hour day-of-month month day-of-week), evaluated in server local time.
+ * Supports '*', numbers, ranges (1-5), lists (1,15) and steps (*\/5, 0-30/10).
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+// Upper bound for the search in nextRun (4 years covers Feb 29 schedules)
+const MAX_SEARCH_MS = 4 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition (name, min, max)
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name} field: ${part}`);
+        }
+
+        let start;
+        let end;
+        if (rangeText === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangeText.includes('-')) {
+            [start, end] = rangeText.split('-').map(Number);
+        } else {
+            start = Number(rangeText);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) ||
+            start < field.min || end > field.max || start > end) {
+            throw new Error(`Invalid ${field.name} field: ${part}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field cron expression, e.g. '*\/5 * * * *'
+ * @returns {Object} Parsed schedule with a Set per field
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression must have ${FIELDS.length} fields: "${expression}"`);
+    }
+
+    const schedule = { expression: parts.join(' ') };
+    FIELDS.forEach((field, i) => {
+        schedule[field.name] = parseField(parts[i], field);
+    });
+
+    if (schedule.dayOfWeek.has(7)) {
+        schedule.dayOfWeek.add(0);
+    }
+    // Standard cron: when both day fields are restricted, either may match
+    schedule.restrictedDays = parts[2] !== '*' && parts[4] !== '*';
+
+    return schedule;
+}
+
+/**
+ * Whether a date falls on a day the schedule allows
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+    const domMatch = schedule.dayOfMonth.has(date.getDate());
+    const dowMatch = schedule.dayOfWeek.has(date.getDay());
+    return schedule.restrictedDays ? domMatch || dowMatch : domMatch && dowMatch;
+}
+
+/**
+ * Next time after `from` that matches the schedule
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {number} from - Start time in milliseconds (exclusive)
+ * @returns {number} Next matching time in milliseconds
+ */
+function nextRun(schedule, from = Date.now()) {
+    if (typeof schedule === 'string') {
+        schedule = parseCron(schedule);
+    }
+
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = from + MAX_SEARCH_MS;
+
+    while (date.getTime() <= limit) {
+        if (!schedule.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!schedule.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    throw new Error(`Cron expression never matches: "${schedule.expression}"`);
+}
+
+module.exports = {
+    parseCron,
+    nextRun,
+};
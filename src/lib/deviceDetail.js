@@ -0,0 +1,137 @@
+/**
+ * Device Detail Module
+ *
+ * Everything known about one inverter, assembled from stored results for the
+ * drill-down view: registry metadata and placement, last reading, power
+ * history, the Online/Offline timeline and the errors of runs that touched it.
+ */
+const config = require('../config');
+const { deviceRegistry } = require('./deviceRegistry');
+const { siteHierarchy } = require('./siteHierarchy');
+const { telemetryStore } = require('./telemetryStore');
+const { runStore } = require('./runStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Collapse raw readings into periods of unchanged status. A period lasts
+ * until the first reading of the next one (or the last reading).
+ * @param {Object[]} readings - Raw readings of one device, sorted by time
+ * @returns {Object[]} [{ status, from, to, readings }]
+ */
+function statusTimeline(readings) {
+    const periods = [];
+    readings.forEach(reading => {
+        const current = periods[periods.length - 1];
+        if (current && current.status === reading.status) {
+            current.to = reading.ts;
+            current.readings++;
+            return;
+        }
+        if (current) current.to = reading.ts;
+        periods.push({ status: reading.status, from: reading.ts, to: reading.ts, readings: 1 });
+    });
+    return periods;
+}
+
+/**
+ * Errors of stored runs that involved a device, newest first:
+ * - batch       its batch failed in the main pass (recovered or not)
+ * - recovery    it was still failing after the recovery pass
+ * - quarantine  its record was malformed
+ * @param {Object[]} runs - Run records from the run store
+ * @param {string} sn - Serial number
+ * @returns {Object[]} [{ runId, at, kind, batch, error, recovered }]
+ */
+function errorHistory(runs, sn) {
+    const entries = [];
+    runs.forEach(run => {
+        const recovered = new Set(run.recovery ? run.recovery.recovered : []);
+        (run.errors || [])
+            .filter(error => (error.serialNumbers || []).includes(sn))
+            .forEach(error => entries.push({
+                runId: run.id,
+                at: run.completedAt,
+                kind: 'batch',
+                batch: error.batch,
+                error: error.error,
+                recovered: recovered.has(sn),
+            }));
+        (run.recovery ? run.recovery.failed : [])
+            .filter(failure => failure.sn === sn)
+            .forEach(failure => entries.push({
+                runId: run.id,
+                at: run.completedAt,
+                kind: 'recovery',
+                error: failure.error,
+                recovered: false,
+            }));
+        (run.quarantine || [])
+            .filter(entry => entry.sn === sn)
+            .forEach(entry => entries.push({
+                runId: run.id,
+                at: run.completedAt,
+                kind: 'quarantine',
+                batch: entry.batch,
+                error: entry.reason,
+                recovered: false,
+            }));
+    });
+    return entries.sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+}
+
+/**
+ * Detail of one device over a time range
+ * @param {string} sn - Serial number (must be in the registry)
+ * @param {Object} range - { from, to, resolution } from parseHistoryQuery
+ * @param {Object} sources - { registry, hierarchy, store, runs } (default: the shared instances)
+ * @returns {Promise<Object>} Device detail
+ */
+async function getDeviceDetail(sn, range, {
+    registry = deviceRegistry,
+    hierarchy = siteHierarchy,
+    store = telemetryStore,
+    runs = runStore,
+} = {}) {
+    const { from, to } = range;
+    const now = Date.now();
+
+    // Last reading and last Online reading within raw retention
+    const recent = await store.readRaw(now - config.TELEMETRY_RAW_RETENTION_DAYS * DAY_MS, now, sn);
+    const last = recent[recent.length - 1] || null;
+    const lastOnline = recent.filter(reading => reading.status === 'Online').pop() || null;
+
+    const readings = recent.filter(reading => {
+        const ts = Date.parse(reading.ts);
+        return ts >= from && ts <= to;
+    });
+    const rangeRuns = (await runs.list()).filter(run => {
+        const at = Date.parse(run.completedAt);
+        return at >= from && at <= to;
+    });
+
+    return {
+        sn,
+        device: { ...registry.get(sn), ...hierarchy.locate(sn) },
+        lastSeen: last && {
+            at: last.ts,
+            secondsAgo: Math.max(0, Math.round((now - Date.parse(last.ts)) / 1000)),
+            status: last.status,
+            powerKw: last.powerKw,
+            runId: last.runId,
+        },
+        lastOnlineAt: lastOnline ? lastOnline.ts : null,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        resolution: range.resolution,
+        history: await store.deviceHistory(sn, range),
+        timeline: statusTimeline(readings),
+        errors: errorHistory(rangeRuns, sn),
+    };
+}
+
+module.exports = {
+    statusTimeline,
+    errorHistory,
+    getDeviceDetail,
+};
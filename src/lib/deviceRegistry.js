@@ -0,0 +1,373 @@
+/**
+ * Device Registry Module
+ *
+ * Keeps the inventory of inverters the aggregator polls. Devices can be
+ * loaded from a JSON or CSV file; without one the registry falls back to
+ * the generated SN-000 to SN-{TOTAL_DEVICES-1} fleet. Changes to the
+ * generated fleet are saved to {DATA_DIR}/devices.json, which is loaded
+ * instead from then on.
+ *
+ * CSV files need a header row: sn,site,capacityKw,installDate,tags
+ * (tags separated by ';'); a group column places devices under a string or
+ * combiner of their site.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { generateSerialNumbers } = require('./batchProcessor');
+const { toCsvValue } = require('./formatters');
+
+const DEVICE_STATUS = {
+    ACTIVE: 'active',
+    DECOMMISSIONED: 'decommissioned',
+};
+
+const CSV_COLUMNS = ['sn', 'site', 'group', 'capacityKw', 'installDate', 'tags', 'status', 'decommissionedAt'];
+
+/**
+ * Split a single CSV line into fields, honouring double-quoted values
+ * @param {string} line - Raw CSV line
+ * @returns {string[]} Field values
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return fields.map(field => field.trim());
+}
+
+/**
+ * Parse CSV text into plain device objects keyed by the header row
+ * @param {string} text - CSV file contents
+ * @returns {Object[]} Raw device entries
+ */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const header = parseCsvLine(lines[0]);
+    return lines.slice(1).map(line => {
+        const values = parseCsvLine(line);
+        const entry = {};
+        header.forEach((column, i) => {
+            if (values[i] !== undefined && values[i] !== '') {
+                entry[column] = values[i];
+            }
+        });
+        return entry;
+    });
+}
+
+/**
+ * Order serial numbers with their numeric parts compared as numbers
+ * (SN-9 < SN-10)
+ * @param {string} a - Serial number
+ * @param {string} b - Serial number
+ * @returns {number} Negative, zero or positive
+ */
+function compareSerialNumbers(a, b) {
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * Validate and normalize a device entry
+ * @param {Object} entry - Raw device data (from file or API)
+ * @returns {Object} Normalized device
+ */
+function normalizeDevice(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Device entry must be an object');
+    }
+
+    const sn = String(entry.sn || entry.serial || '').trim();
+    if (!sn) {
+        throw new Error('Device serial number (sn) is required');
+    }
+
+    let capacityKw = null;
+    if (entry.capacityKw !== undefined && entry.capacityKw !== null && entry.capacityKw !== '') {
+        capacityKw = Number(entry.capacityKw);
+        if (!Number.isFinite(capacityKw) || capacityKw < 0) {
+            throw new Error(`Invalid capacityKw for ${sn}: ${entry.capacityKw}`);
+        }
+    }
+
+    let installDate = null;
+    if (entry.installDate) {
+        if (Number.isNaN(Date.parse(entry.installDate))) {
+            throw new Error(`Invalid installDate for ${sn}: ${entry.installDate}`);
+        }
+        installDate = String(entry.installDate);
+    }
+
+    let tags = entry.tags || [];
+    if (typeof tags === 'string') {
+        tags = tags.split(';');
+    }
+    if (!Array.isArray(tags)) {
+        throw new Error(`Invalid tags for ${sn}: expected an array`);
+    }
+    tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+
+    const status = entry.status || DEVICE_STATUS.ACTIVE;
+    if (!Object.values(DEVICE_STATUS).includes(status)) {
+        throw new Error(`Invalid status for ${sn}: ${status}`);
+    }
+
+    return {
+        sn,
+        site: entry.site ? String(entry.site) : null,
+        group: entry.group ? String(entry.group) : null,
+        capacityKw,
+        installDate,
+        tags,
+        status,
+        decommissionedAt: entry.decommissionedAt || null,
+    };
+}
+
+class DeviceRegistry {
+    /**
+     * @param {string} filePath - Registry file (default: DEVICE_REGISTRY_PATH)
+     * @param {Object} options
+     * @param {string} options.fallbackPath - Where changes are saved without a
+     *   registry file (default: {DATA_DIR}/devices.json; null = not saved)
+     */
+    constructor(filePath = config.DEVICE_REGISTRY_PATH, { fallbackPath = path.join(config.DATA_DIR, 'devices.json') } = {}) {
+        this.filePath = filePath || null;
+        this.fallbackPath = fallbackPath || null;
+        // File the devices were loaded from, null for the generated fleet
+        this.source = null;
+        this.devices = new Map();
+    }
+
+    /**
+     * File the registry is saved to: the registry file, else the fallback
+     * @returns {string|null}
+     */
+    get storagePath() {
+        return this.filePath || this.fallbackPath;
+    }
+
+    /**
+     * Load devices from the configured file, or seed the default fleet
+     * @returns {DeviceRegistry} this registry
+     */
+    load() {
+        this.devices.clear();
+
+        const source = this.filePath ||
+            (this.fallbackPath && fs.existsSync(this.fallbackPath) ? this.fallbackPath : null);
+        this.source = source;
+        if (!source) {
+            generateSerialNumbers().forEach(sn => {
+                this.devices.set(sn, normalizeDevice({ sn }));
+            });
+            return this;
+        }
+
+        const text = fs.readFileSync(source, 'utf8');
+        const entries = this.isCsv() ? parseCsv(text) : JSON.parse(text);
+        if (!Array.isArray(entries)) {
+            throw new Error(`Device registry ${source} must contain an array of devices`);
+        }
+
+        entries.forEach(entry => {
+            const device = normalizeDevice(entry);
+            if (this.devices.has(device.sn)) {
+                throw new Error(`Duplicate device in registry: ${device.sn}`);
+            }
+            this.devices.set(device.sn, device);
+        });
+
+        console.log(`📋 Loaded ${this.devices.size} devices from ${source}`);
+        return this;
+    }
+
+    /**
+     * Write the registry back to its file, or to the fallback file for the
+     * generated fleet
+     */
+    async save() {
+        if (!this.storagePath) {
+            throw new Error('Device registry has no file to save to');
+        }
+
+        const devices = [...this.devices.values()];
+        let contents;
+        if (this.isCsv()) {
+            const rows = devices.map(device => CSV_COLUMNS.map(column => {
+                const value = column === 'tags' ? device.tags.join(';') : device[column];
+                return toCsvValue(value);
+            }).join(','));
+            contents = [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+        } else {
+            contents = JSON.stringify(devices, null, 2) + '\n';
+        }
+
+        await fs.promises.mkdir(path.dirname(this.storagePath), { recursive: true });
+        await fs.promises.writeFile(this.storagePath, contents);
+    }
+
+    /**
+     * Whether the backing file is CSV (otherwise JSON)
+     * @returns {boolean}
+     */
+    isCsv() {
+        return path.extname(this.storagePath || '').toLowerCase() === '.csv';
+    }
+
+    /**
+     * List devices
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.site - Only devices at this site
+     * @param {string} filters.tag - Only devices carrying this tag
+     * @param {boolean} filters.includeDecommissioned - Include retired units
+     * @returns {Object[]} Matching devices
+     */
+    list({ site, tag, includeDecommissioned = false } = {}) {
+        return [...this.devices.values()].filter(device => {
+            if (!includeDecommissioned && device.status === DEVICE_STATUS.DECOMMISSIONED) return false;
+            if (site && device.site !== site) return false;
+            if (tag && !device.tags.includes(tag)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Get a single device
+     * @param {string} sn - Serial number
+     * @returns {Object|undefined} The device
+     */
+    get(sn) {
+        return this.devices.get(sn);
+    }
+
+    /**
+     * Serial numbers of every active (non-decommissioned) device
+     * @returns {string[]} Serial numbers
+     */
+    getActiveSerialNumbers() {
+        return this.list().map(device => device.sn);
+    }
+
+    /**
+     * Active serial numbers matching all given filters
+     * @param {Object} filters - Optional filters
+     * @param {string[]} filters.serialNumbers - Only these devices
+     * @param {string[]} filters.range - [from, to] serial numbers, inclusive
+     * @param {string} filters.site - Only devices at this site
+     * @param {string} filters.tag - Only devices with this tag
+     * @returns {string[]} Serial numbers in registry order
+     */
+    select({ serialNumbers, range, site, tag } = {}) {
+        const wanted = serialNumbers ? new Set(serialNumbers) : null;
+        return this.list({ site, tag })
+            .filter(device => !wanted || wanted.has(device.sn))
+            .filter(device => !range ||
+                (compareSerialNumbers(device.sn, range[0]) >= 0 && compareSerialNumbers(device.sn, range[1]) <= 0))
+            .map(device => device.sn);
+    }
+
+    /**
+     * Register a new device
+     * @param {Object} entry - Device data
+     * @returns {Promise<Object>} The stored device
+     */
+    async add(entry) {
+        const device = normalizeDevice({ ...entry, status: DEVICE_STATUS.ACTIVE, decommissionedAt: null });
+        if (this.devices.has(device.sn)) {
+            throw new Error(`Device ${device.sn} already exists`);
+        }
+        return this.commit(device, null);
+    }
+
+    /**
+     * Update metadata of an existing device. The serial number cannot change.
+     * @param {string} sn - Serial number
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object>} The updated device
+     */
+    async update(sn, changes) {
+        const existing = this.devices.get(sn);
+        if (!existing) {
+            throw new Error(`Device ${sn} not found`);
+        }
+        const device = normalizeDevice({ ...existing, ...changes, sn });
+        return this.commit(device, existing);
+    }
+
+    /**
+     * Retire a device so it is no longer polled. It stays in the registry.
+     * @param {string} sn - Serial number
+     * @returns {Promise<Object>} The decommissioned device
+     */
+    async decommission(sn) {
+        const existing = this.devices.get(sn);
+        if (!existing) {
+            throw new Error(`Device ${sn} not found`);
+        }
+        const device = {
+            ...existing,
+            status: DEVICE_STATUS.DECOMMISSIONED,
+            decommissionedAt: existing.decommissionedAt || new Date().toISOString(),
+        };
+        return this.commit(device, existing);
+    }
+
+    /**
+     * Store a device and save the registry. When the file cannot be written
+     * the change is undone, so memory never holds devices that are not on disk.
+     * @param {Object} device - New or changed device
+     * @param {Object|null} previous - The device before the change (null when new)
+     * @returns {Promise<Object>} The device
+     */
+    async commit(device, previous) {
+        this.devices.set(device.sn, device);
+        try {
+            await this.save();
+        } catch (error) {
+            if (previous) {
+                this.devices.set(device.sn, previous);
+            } else {
+                this.devices.delete(device.sn);
+            }
+            throw error;
+        }
+        return device;
+    }
+}
+
+// Singleton instance shared by the aggregator and the API routes
+const deviceRegistry = new DeviceRegistry().load();
+
+module.exports = {
+    DEVICE_STATUS,
+    DeviceRegistry,
+    deviceRegistry,
+    compareSerialNumbers,
+    normalizeDevice,
+    parseCsv,
+};
@@ -0,0 +1,87 @@
+/**
+ * Output Formatters Module
+ *
+ * Turns rows (plain objects) into the text formats the CLI and exports
+ * write: JSON, CSV, NDJSON and an aligned plain-text table.
+ */
+const { toJsonLines } = require('./jsonLines');
+
+const FORMATS = ['json', 'csv', 'ndjson', 'table'];
+
+/**
+ * Quote a CSV value when it contains separators or quotes
+ * @param {*} value - Value to write
+ * @returns {string} CSV-safe value
+ */
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join(';') : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header row
+ * @param {Object[]} rows - Rows to write
+ * @param {string[]} columns - Columns, in order
+ * @returns {string} CSV text
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => toCsvValue(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Format rows as an aligned plain-text table
+ * @param {Object[]} rows - Rows to write
+ * @param {string[]} columns - Columns, in order
+ * @returns {string} Table text
+ */
+function toTable(rows, columns) {
+    const cells = rows.map(row => columns.map(column => {
+        const value = row[column];
+        if (value === null || value === undefined) return '';
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }));
+    const widths = columns.map((column, i) =>
+        Math.max(column.length, ...cells.map(line => line[i].length)));
+
+    const format = line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        format(columns),
+        format(widths.map(width => '-'.repeat(width))),
+        ...cells.map(format),
+    ].join('\n') + '\n';
+}
+
+/**
+ * Format rows in one of FORMATS
+ * @param {Object[]} rows - Rows to write
+ * @param {string} format - json, csv, ndjson or table
+ * @param {string[]} columns - Columns for csv and table (default: keys of the first row)
+ * @returns {string} Formatted text
+ */
+function formatRows(rows, format, columns = Object.keys(rows[0] || {})) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(rows, null, 2) + '\n';
+        case 'csv':
+            return toCsv(rows, columns);
+        case 'ndjson':
+            return toJsonLines(rows);
+        case 'table':
+            return toTable(rows, columns);
+        default:
+            throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    toCsvValue,
+    toCsv,
+    toTable,
+    formatRows,
+};
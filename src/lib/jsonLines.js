@@ -0,0 +1,40 @@
+/**
+ * JSON Lines Helpers
+ *
+ * Shared by the file-backed stores (one JSON object per line).
+ */
+const fs = require('fs');
+
+/**
+ * Read a JSONL file into an array of objects (missing file = empty)
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object[]>} Parsed lines
+ */
+async function readJsonLines(filePath) {
+    let text;
+    try {
+        text = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return text
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * Serialize objects as JSONL text (empty string for no items)
+ * @param {Object[]} items - Objects to serialize
+ * @returns {string} JSONL text with trailing newline
+ */
+function toJsonLines(items) {
+    return items.length > 0 ? items.map(item => JSON.stringify(item)).join('\n') + '\n' : '';
+}
+
+module.exports = {
+    readJsonLines,
+    toJsonLines,
+};
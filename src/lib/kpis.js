@@ -0,0 +1,159 @@
+/**
+ * KPI Module
+ *
+ * Fleet KPIs computed from stored raw telemetry:
+ * - energyKwh            power integrated over time (trapezoids between a
+ *                        device's consecutive readings; gaps longer than
+ *                        KPI_MAX_SAMPLE_GAP_MS are left out rather than guessed)
+ * - availabilityPct      share of readings that were Online
+ * - performanceRatioPct  energy relative to registered capacity over the
+ *                        covered time, for devices with a capacityKw
+ * - currentPowerKw       fleet total of the most recent run in the window
+ *
+ * Days are UTC days, like the telemetry files. "Today" runs from midnight to
+ * now and is compared with the same span of the previous day.
+ */
+const config = require('../config');
+const { telemetryStore } = require('./telemetryStore');
+const { deviceRegistry } = require('./deviceRegistry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Round to a fixed number of decimals, keeping null
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number|null}
+ */
+function round(value, decimals) {
+    return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * KPIs of a set of raw readings
+ * @param {Object[]} readings - Raw telemetry readings ({ sn, ts, powerKw, status, runId })
+ * @param {Object} options
+ * @param {Function} options.capacityOf - Returns the capacity (kW) of a serial number, or null
+ * @param {number} options.maxGapMs - Longest gap between two readings that is integrated
+ * @returns {Object} { energyKwh, availabilityPct, performanceRatioPct, currentPowerKw,
+ *   reportingDevices, onlineDevices, readings, lastReadingAt }
+ */
+function computeKpis(readings, { capacityOf = () => null, maxGapMs = config.KPI_MAX_SAMPLE_GAP_MS } = {}) {
+    const bySn = new Map();
+    readings.forEach(reading => {
+        if (!bySn.has(reading.sn)) bySn.set(reading.sn, []);
+        bySn.get(reading.sn).push(reading);
+    });
+
+    let energyKwh = 0;
+    let ratedEnergyKwh = 0;
+    let ratedOutputKwh = 0;
+    bySn.forEach((deviceReadings, sn) => {
+        const sorted = deviceReadings
+            .map(reading => ({ ...reading, at: Date.parse(reading.ts) }))
+            .sort((a, b) => a.at - b.at);
+        let deviceKwh = 0;
+        let coveredHours = 0;
+        sorted.slice(1).forEach((reading, i) => {
+            const previous = sorted[i];
+            const gapMs = reading.at - previous.at;
+            if (gapMs <= 0 || gapMs > maxGapMs) return;
+            const hours = gapMs / HOUR_MS;
+            deviceKwh += (previous.powerKw + reading.powerKw) / 2 * hours;
+            coveredHours += hours;
+        });
+        energyKwh += deviceKwh;
+
+        const capacityKw = capacityOf(sn);
+        if (capacityKw > 0 && coveredHours > 0) {
+            ratedEnergyKwh += deviceKwh;
+            ratedOutputKwh += capacityKw * coveredHours;
+        }
+    });
+
+    const online = readings.filter(reading => reading.status === 'Online').length;
+
+    // Readings of one run share a runId; the latest run is the current state
+    const latest = readings.reduce((last, reading) => (!last || reading.ts > last.ts ? reading : last), null);
+    const current = latest ? readings.filter(reading => reading.runId === latest.runId) : [];
+
+    return {
+        energyKwh: round(energyKwh, 3),
+        availabilityPct: readings.length > 0 ? round(online / readings.length * 100, 1) : null,
+        performanceRatioPct: ratedOutputKwh > 0 ? round(ratedEnergyKwh / ratedOutputKwh * 100, 1) : null,
+        currentPowerKw: latest ? round(current.reduce((sum, reading) => sum + reading.powerKw, 0), 3) : null,
+        reportingDevices: bySn.size,
+        onlineDevices: current.filter(reading => reading.status === 'Online').length,
+        readings: readings.length,
+        lastReadingAt: latest ? latest.ts : null,
+    };
+}
+
+/**
+ * Relative change in percent, null when there is nothing to compare with
+ * @param {number|null} value - Current value
+ * @param {number|null} previous - Previous value
+ * @returns {number|null}
+ */
+function percentChange(value, previous) {
+    if (value === null || previous === null || previous === 0) return null;
+    return round((value - previous) / previous * 100, 1);
+}
+
+/**
+ * Difference in percentage points, null when either side is missing
+ * @param {number|null} value - Current percentage
+ * @param {number|null} previous - Previous percentage
+ * @returns {number|null}
+ */
+function pointChange(value, previous) {
+    if (value === null || previous === null) return null;
+    return round(value - previous, 1);
+}
+
+/**
+ * KPIs for today so far and the same span yesterday
+ * @param {Object} options
+ * @param {number} options.now - Reference time (ms)
+ * @param {string[]} options.serialNumbers - Only these devices (e.g. one site); null = fleet
+ * @param {Object} sources - { store, registry } (default: the shared instances)
+ * @returns {Promise<Object>} { today, yesterday, change }
+ */
+async function fleetKpis({ now = Date.now(), serialNumbers = null } = {}, { store = telemetryStore, registry = deviceRegistry } = {}) {
+    const wanted = serialNumbers ? new Set(serialNumbers) : null;
+    const capacityOf = sn => {
+        const device = registry.get(sn);
+        return device ? device.capacityKw : null;
+    };
+
+    const period = async (from, to) => {
+        const readings = (await store.readRaw(from, to)).filter(reading => !wanted || wanted.has(reading.sn));
+        return {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            ...computeKpis(readings, { capacityOf }),
+        };
+    };
+
+    const midnight = Math.floor(now / DAY_MS) * DAY_MS;
+    const today = await period(midnight, now);
+    const yesterday = await period(midnight - DAY_MS, now - DAY_MS);
+
+    return {
+        devices: serialNumbers ? serialNumbers.length : registry.getActiveSerialNumbers().length,
+        today,
+        yesterday,
+        change: {
+            energyPct: percentChange(today.energyKwh, yesterday.energyKwh),
+            currentPowerPct: percentChange(today.currentPowerKw, yesterday.currentPowerKw),
+            availabilityPts: pointChange(today.availabilityPct, yesterday.availabilityPct),
+            performanceRatioPts: pointChange(today.performanceRatioPct, yesterday.performanceRatioPct),
+        },
+    };
+}
+
+module.exports = {
+    computeKpis,
+    fleetKpis,
+};
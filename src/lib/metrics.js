@@ -0,0 +1,155 @@
+/**
+ * Metrics Module
+ *
+ * Prometheus metrics for the aggregator and fleet health, served by GET /metrics.
+ * Uses a dedicated prom-client registry (plus default Node.js process metrics).
+ */
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const runsTotal = new client.Counter({
+    name: 'energygrid_runs_total',
+    help: 'Aggregation runs finished, by outcome (completed, cancelled, failed)',
+    labelNames: ['outcome'],
+    registers: [register],
+});
+
+const runDurationSeconds = new client.Histogram({
+    name: 'energygrid_run_duration_seconds',
+    help: 'Duration of finished aggregation runs, in seconds',
+    buckets: [5, 15, 30, 45, 60, 90, 120, 300],
+    registers: [register],
+});
+
+const upstreamRequestsTotal = new client.Counter({
+    name: 'energygrid_upstream_requests_total',
+    help: 'Requests sent to the device API, by upstream lane and response status (200, 401, 429, other, network_error)',
+    labelNames: ['lane', 'status'],
+    registers: [register],
+});
+
+const upstreamRequestDurationSeconds = new client.Histogram({
+    name: 'energygrid_upstream_request_duration_seconds',
+    help: 'Time from sending a device API request to its response headers (or network error), in seconds, by upstream lane',
+    labelNames: ['lane'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register],
+});
+
+const upstreamRetriesTotal = new client.Counter({
+    name: 'energygrid_upstream_retries_total',
+    help: 'Retries of device API requests, by reason',
+    labelNames: ['reason'],
+    registers: [register],
+});
+
+const rateLimiterQueueLength = new client.Gauge({
+    name: 'energygrid_rate_limiter_queue_length',
+    help: 'Requests waiting in the rate limiter queue',
+    registers: [register],
+});
+
+const rateLimiterWaitSeconds = new client.Histogram({
+    name: 'energygrid_rate_limiter_wait_seconds',
+    help: 'Time a request waited for its rate limiter slot, in seconds',
+    buckets: [0, 0.1, 0.25, 0.5, 1, 1.5, 2, 5],
+    registers: [register],
+});
+
+const rateLimiterIntervalSeconds = new client.Gauge({
+    name: 'energygrid_rate_limiter_interval_seconds',
+    help: 'Current gap the rate limiter keeps between requests, in seconds',
+    registers: [register],
+});
+
+const fleetDevices = new client.Gauge({
+    name: 'energygrid_fleet_devices',
+    help: 'Devices in the last completed run, by status',
+    labelNames: ['status'],
+    registers: [register],
+});
+
+const fleetPowerKw = new client.Gauge({
+    name: 'energygrid_fleet_power_kw',
+    help: 'Total fleet power in the last completed run (kW)',
+    registers: [register],
+});
+
+const devicePowerKw = new client.Gauge({
+    name: 'energygrid_device_power_kw',
+    help: 'Power of each device in the last completed run (kW)',
+    labelNames: ['sn'],
+    registers: [register],
+});
+
+/**
+ * Group an HTTP status code into the upstream request label
+ * @param {number} status - HTTP status code
+ * @returns {string} '200', '401', '429' or 'other'
+ */
+function statusLabel(status) {
+    return [200, 401, 429].includes(status) ? String(status) : 'other';
+}
+
+/**
+ * Record a completed run: outcome, duration and fleet gauges. A targeted
+ * run (report.selection) only updates the gauges of the devices it fetched.
+ * @param {Object} report - Report from aggregateDeviceData
+ */
+function recordRun(report) {
+    runsTotal.inc({ outcome: 'completed' });
+    runDurationSeconds.observe(report.summary.durationSeconds);
+
+    const devices = report.devices || [];
+    if (report.selection) {
+        devices.forEach(device => {
+            devicePowerKw.set({ sn: device.sn }, device.powerW / 1000);
+        });
+        return;
+    }
+
+    fleetDevices.set({ status: 'online' }, report.summary.onlineDevices);
+    fleetDevices.set({ status: 'offline' }, report.summary.offlineDevices);
+    const totalKw = devices.reduce((sum, device) => sum + device.powerW / 1000, 0);
+    fleetPowerKw.set(parseFloat(totalKw.toFixed(3)));
+
+    // Drop series of devices that were not in this run
+    devicePowerKw.reset();
+    devices.forEach(device => {
+        devicePowerKw.set({ sn: device.sn }, device.powerW / 1000);
+    });
+}
+
+/**
+ * Record a cancelled run: outcome and duration only. Its partial report
+ * would understate the fleet, so the fleet and device gauges keep the last
+ * completed run.
+ * @param {Object} report - Partial report from aggregateDeviceData
+ */
+function recordCancelledRun(report) {
+    runsTotal.inc({ outcome: 'cancelled' });
+    runDurationSeconds.observe(report.summary.durationSeconds);
+}
+
+/**
+ * Record a run that failed before producing a report
+ */
+function recordFailedRun() {
+    runsTotal.inc({ outcome: 'failed' });
+}
+
+module.exports = {
+    register,
+    upstreamRequestsTotal,
+    upstreamRequestDurationSeconds,
+    upstreamRetriesTotal,
+    rateLimiterQueueLength,
+    rateLimiterWaitSeconds,
+    rateLimiterIntervalSeconds,
+    statusLabel,
+    recordRun,
+    recordCancelledRun,
+    recordFailedRun,
+};
@@ -0,0 +1,63 @@
+/**
+ * Alert Notifiers Module
+ *
+ * Delivery channels for alert events. A notifier is any object with
+ * `name` and an async `notify(event)` method, where event is
+ * { type: 'opened'|'acknowledged'|'resolved', alert, timestamp }.
+ */
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+class WebhookNotifier {
+    /**
+     * @param {string} url - Endpoint that receives a JSON POST per event
+     * @param {Object} options - Extra options
+     * @param {Object} options.headers - Additional request headers
+     */
+    constructor(url, { headers = {} } = {}) {
+        this.name = 'webhook';
+        this.url = url;
+        this.headers = headers;
+    }
+
+    /**
+     * POST the event as JSON
+     * @param {Object} event - Alert event
+     */
+    async notify(event) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(event),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+    }
+}
+
+class LogFileNotifier {
+    /**
+     * @param {string} filePath - File that receives one JSON line per event
+     */
+    constructor(filePath) {
+        this.name = 'log-file';
+        this.filePath = filePath;
+    }
+
+    /**
+     * Append the event as a JSON line
+     * @param {Object} event - Alert event
+     */
+    async notify(event) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, JSON.stringify(event) + '\n');
+    }
+}
+
+module.exports = {
+    WebhookNotifier,
+    LogFileNotifier,
+};
@@ -3,15 +3,71 @@
  * 
  * Implements a queue-based rate limiter to ensure exactly 1 request per second.
  * Uses a promise-based queue for clean async handling.
+ *
+ * In adaptive mode the interval widens on 429 responses and is probed back
+ * toward the minimum after a streak of successes. Retry-After and
+ * X-RateLimit-* response headers pause the queue in both modes.
+ *
+ * A paused or cancelled run suspends the queue or drains it: queued calls
+ * are held, or rejected, without touching the request in flight.
  */
 const config = require('../config');
+const metrics = require('./metrics');
+
+// Adaptive tuning
+const BACKOFF_FACTOR = 1.5;  // Interval multiplier on each 429
+const PROBE_AFTER = 10;      // Consecutive successes before narrowing the interval
+const PROBE_STEP_MS = 25;    // How much to narrow it by
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+        return Math.round(parseFloat(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Parse an X-RateLimit-Reset header (epoch seconds or seconds from now)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay until the window resets in milliseconds
+ */
+function parseRateLimitReset(value, now = Date.now()) {
+    const seconds = parseFloat(value);
+    if (!value || Number.isNaN(seconds)) return null;
+    // Values this large are absolute epoch seconds
+    return seconds > 1e9 ? Math.max(0, seconds * 1000 - now) : Math.round(seconds * 1000);
+}
 
 class RateLimiter {
-    constructor(intervalMs = config.RATE_LIMIT_MS) {
+    /**
+     * @param {number} intervalMs - Gap between requests
+     * @param {Object} options - Adaptive options
+     * @param {boolean} options.adaptive - Tune the interval from responses
+     * @param {number} options.minIntervalMs - Fastest interval adaptive mode may reach
+     * @param {number} options.maxIntervalMs - Slowest interval adaptive mode may back off to
+     */
+    constructor(intervalMs = config.RATE_LIMIT_MS, options = {}) {
         this.intervalMs = intervalMs;
+        this.adaptive = options.adaptive !== undefined ? options.adaptive : config.RATE_LIMIT_ADAPTIVE;
+        this.minIntervalMs = options.minIntervalMs || config.RATE_LIMIT_MIN_MS;
+        this.maxIntervalMs = options.maxIntervalMs || config.RATE_LIMIT_MAX_MS;
         this.lastRequestTime = 0;
+        this.pausedUntil = 0;
+        this.successStreak = 0;
+        this.throttledCount = 0;
         this.queue = [];
         this.processing = false;
+        this.suspended = false;
+        this.resumeWaiters = [];
     }
 
     /**
@@ -35,19 +91,30 @@ class RateLimiter {
         }
 
         this.processing = true;
+        let waited = 0;
 
         while (this.queue.length > 0) {
-            const { fn, resolve, reject } = this.queue.shift();
+            if (this.suspended) {
+                await new Promise(resolve => this.resumeWaiters.push(resolve));
+                continue;
+            }
 
             // Calculate wait time to maintain rate limit
             const now = Date.now();
             const elapsed = now - this.lastRequestTime;
-            const waitTime = Math.max(0, this.intervalMs - elapsed);
+            const waitTime = Math.max(0, this.intervalMs - elapsed, this.pausedUntil - now);
 
             if (waitTime > 0) {
                 await this.sleep(waitTime);
+                waited += waitTime;
+                // The queue may have been suspended or drained meanwhile
+                continue;
             }
 
+            metrics.rateLimiterWaitSeconds.observe(waited / 1000);
+            waited = 0;
+            const { fn, resolve, reject } = this.queue.shift();
+
             try {
                 this.lastRequestTime = Date.now();
                 const result = await fn();
@@ -60,6 +127,124 @@ class RateLimiter {
         this.processing = false;
     }
 
+    /**
+     * Hold queued calls until resume(); a call already running is unaffected
+     */
+    suspend() {
+        this.suspended = true;
+    }
+
+    /**
+     * Release a suspended queue
+     */
+    resume() {
+        this.suspended = false;
+        this.resumeWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    /**
+     * Reject every queued call, e.g. when the run is cancelled
+     * @param {Error} error - Rejection for the dropped calls
+     * @returns {number} Number of calls dropped
+     */
+    drain(error) {
+        const dropped = this.queue.splice(0);
+        dropped.forEach(({ reject }) => reject(error));
+        return dropped.length;
+    }
+
+    /**
+     * Feed an upstream response back into the limiter
+     * @param {Object} response - fetch Response
+     * @returns {number|null} Delay requested by the server (ms), if any
+     */
+    observeResponse(response) {
+        const now = Date.now();
+        const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'), now);
+        const resetMs = parseRateLimitReset(response.headers.get('x-ratelimit-reset'), now);
+        const remaining = response.headers.get('x-ratelimit-remaining');
+
+        if (response.status === 429) {
+            this.recordThrottle(retryAfterMs !== null ? retryAfterMs : resetMs);
+            return retryAfterMs !== null ? retryAfterMs : resetMs;
+        }
+
+        // Quota used up for this window: hold the queue until it resets
+        if (remaining !== null && Number(remaining) <= 0 && resetMs !== null) {
+            this.pauseFor(resetMs);
+        }
+        if (response.ok) {
+            this.recordSuccess();
+        }
+        return null;
+    }
+
+    /**
+     * A request succeeded; in adaptive mode, probe toward the minimum interval
+     */
+    recordSuccess() {
+        this.successStreak++;
+        if (this.adaptive && this.successStreak >= PROBE_AFTER && this.intervalMs > this.minIntervalMs) {
+            this.intervalMs = Math.max(this.minIntervalMs, this.intervalMs - PROBE_STEP_MS);
+            this.successStreak = 0;
+        }
+    }
+
+    /**
+     * A request was rate limited; in adaptive mode, widen the interval
+     * @param {number|null} retryAfterMs - Delay requested by the server
+     */
+    recordThrottle(retryAfterMs = null) {
+        this.throttledCount++;
+        this.successStreak = 0;
+        if (this.adaptive) {
+            const widened = Math.round(this.intervalMs * BACKOFF_FACTOR);
+            this.intervalMs = Math.min(this.maxIntervalMs, widened);
+            console.log(`[RateLimiter] 429 received, interval widened to ${this.intervalMs}ms`);
+        }
+        if (retryAfterMs) {
+            this.pauseFor(retryAfterMs);
+        }
+    }
+
+    /**
+     * Change the interval and mode, e.g. after a runtime config change.
+     * Starts adaptive tuning over from the new interval.
+     * @param {Object} options
+     * @param {number} options.intervalMs - Gap between requests
+     * @param {boolean} options.adaptive - Tune the interval from responses
+     */
+    configure({ intervalMs = this.intervalMs, adaptive = this.adaptive } = {}) {
+        this.intervalMs = intervalMs;
+        this.adaptive = adaptive;
+        this.successStreak = 0;
+    }
+
+    /**
+     * Hold the queue for at least the given time
+     * @param {number} ms - Milliseconds to pause
+     */
+    pauseFor(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Current limiter settings and counters
+     * @returns {Object} Stats (served in /api/status)
+     */
+    getStats() {
+        return {
+            mode: this.adaptive ? 'adaptive' : 'fixed',
+            intervalMs: this.intervalMs,
+            minIntervalMs: this.minIntervalMs,
+            maxIntervalMs: this.maxIntervalMs,
+            throttledCount: this.throttledCount,
+            pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+            suspended: this.suspended,
+            queueLength: this.queue.length,
+        };
+    }
+
     /**
      * Sleep for specified milliseconds
      * @param {number} ms - Milliseconds to sleep
@@ -90,4 +275,6 @@ const rateLimiter = new RateLimiter();
 module.exports = {
     RateLimiter,
     rateLimiter,
+    parseRetryAfter,
+    parseRateLimitReset,
 };
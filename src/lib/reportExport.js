@@ -0,0 +1,113 @@
+/**
+ * Report Export Module
+ *
+ * Turns a stored run and its device readings into downloadable files:
+ * CSV, NDJSON and Excel (.xlsx). Every format has the same columns, with
+ * power as a number in kW so spreadsheets can sum it.
+ */
+const ExcelJS = require('exceljs');
+const { toCsv } = require('./formatters');
+const { toJsonLines } = require('./jsonLines');
+const { readingPowerW } = require('./telemetryNormalizer');
+
+const EXPORT_COLUMNS = [
+    { key: 'sn', header: 'Serial', width: 14 },
+    { key: 'powerKw', header: 'Power (kW)', width: 12 },
+    { key: 'status', header: 'Status', width: 10 },
+    { key: 'last_updated', header: 'Last Updated', width: 26 },
+    { key: 'batch', header: 'Batch', width: 8 },
+    { key: 'runId', header: 'Run', width: 38 },
+];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+/**
+ * Flatten device readings into export rows
+ * @param {Object} run - Run record from the run store
+ * @param {Object[]} devices - Device readings of the run
+ * @returns {Object[]} Rows keyed by EXPORT_COLUMNS
+ */
+function toExportRows(run, devices) {
+    return devices.map(device => {
+        const powerW = readingPowerW(device);
+        return {
+            sn: device.sn,
+            powerKw: powerW === null ? null : powerW / 1000,
+            status: device.status,
+            last_updated: device.last_updated,
+            // Runs stored before batch numbers were recorded have none
+            batch: device.batch !== undefined ? device.batch : null,
+            runId: run.id,
+        };
+    });
+}
+
+/**
+ * Build an Excel workbook: a Devices sheet and a Summary sheet
+ * @param {Object} run - Run record
+ * @param {Object[]} rows - Export rows
+ * @returns {Promise<Buffer>} .xlsx file contents
+ */
+async function toXlsx(run, rows) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(run.completedAt || Date.now());
+
+    const sheet = workbook.addWorksheet('Devices', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = EXPORT_COLUMNS;
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+    sheet.getColumn('powerKw').numFmt = '0.00';
+    sheet.autoFilter = { from: 'A1', to: { row: 1, column: EXPORT_COLUMNS.length } };
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [
+        { key: 'field', header: 'Field', width: 22 },
+        { key: 'value', header: 'Value', width: 38 },
+    ];
+    summary.addRow({ field: 'runId', value: run.id });
+    Object.entries(run.summary || {}).forEach(([field, value]) => summary.addRow({ field, value }));
+    summary.getRow(1).font = { bold: true };
+
+    return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Export a run in one of EXPORT_FORMATS
+ * @param {Object} run - Run record from the run store
+ * @param {Object[]} devices - Device readings of the run
+ * @param {string} format - csv, ndjson or xlsx
+ * @returns {Promise<Object>} { body, contentType, filename }
+ */
+async function exportRun(run, devices, format) {
+    const target = EXPORT_FORMATS[format];
+    if (!target) {
+        throw new Error(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const rows = toExportRows(run, devices);
+    let body;
+    if (format === 'csv') {
+        body = toCsv(rows, EXPORT_COLUMNS.map(column => column.key));
+    } else if (format === 'ndjson') {
+        body = toJsonLines(rows);
+    } else {
+        body = await toXlsx(run, rows);
+    }
+
+    return {
+        body,
+        contentType: target.contentType,
+        filename: `energygrid-run-${run.id}.${target.extension}`,
+    };
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    toExportRows,
+    exportRun,
+};
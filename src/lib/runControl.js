@@ -0,0 +1,97 @@
+/**
+ * Run Control Module
+ *
+ * Pause, resume and cancel handle for one aggregation run, in the spirit of
+ * AbortController: the run manager holds the control, the aggregator checks
+ * it between batches. Cancellation is exposed as a standard AbortSignal.
+ */
+const EventEmitter = require('events');
+
+/**
+ * Error used to reject work dropped by a cancellation
+ * @param {string} reason - Why the run was cancelled
+ * @returns {Error} Error named 'AbortError'
+ */
+function createAbortError(reason = 'Run cancelled') {
+    const error = new Error(reason);
+    error.name = 'AbortError';
+    return error;
+}
+
+class RunControl extends EventEmitter {
+    constructor() {
+        super();
+        this.controller = new AbortController();
+        this.paused = false;
+        this.pausedAt = null;
+        this.pausedMs = 0;
+    }
+
+    /**
+     * AbortSignal that fires when the run is cancelled
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * Whether the run was cancelled
+     * @returns {boolean}
+     */
+    get cancelled() {
+        return this.signal.aborted;
+    }
+
+    /**
+     * Stop starting new batches until resume(); in-flight requests finish
+     * @returns {boolean} Whether the run was running (and is now paused)
+     */
+    pause() {
+        if (this.paused || this.cancelled) return false;
+        this.paused = true;
+        this.pausedAt = Date.now();
+        this.emit('pause');
+        return true;
+    }
+
+    /**
+     * Continue a paused run
+     * @returns {boolean} Whether the run was paused
+     */
+    resume() {
+        if (!this.paused) return false;
+        this.paused = false;
+        this.pausedMs += Date.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.emit('resume');
+        return true;
+    }
+
+    /**
+     * Cancel the run. A paused run is released so it can wind down.
+     * @param {string} reason - Recorded in the report
+     * @returns {boolean} Whether the run was still going
+     */
+    cancel(reason = 'Run cancelled') {
+        if (this.cancelled) return false;
+        this.resume();
+        this.controller.abort(createAbortError(reason));
+        return true;
+    }
+
+    /**
+     * Resolves immediately unless paused, otherwise once the run is resumed
+     * or cancelled
+     * @returns {Promise<void>}
+     */
+    waitWhilePaused() {
+        if (!this.paused) return Promise.resolve();
+        return new Promise(resolve => this.once('resume', resolve));
+    }
+}
+
+module.exports = {
+    RunControl,
+    createAbortError,
+};
@@ -0,0 +1,114 @@
+/**
+ * Run Selection Module
+ *
+ * Turns the body of POST /api/aggregate into the devices a run fetches.
+ * All given filters apply together; an empty body selects every active
+ * device (a full sweep):
+ *   { "sn_list": ["SN-001", ...] }    these devices
+ *   { "range": ["SN-100", "SN-199"] } serial numbers in this range, inclusive
+ *   { "site": "north-field" }         devices at a site (per the site hierarchy)
+ *   { "tag": "rooftop" }              devices with a tag
+ *   { "onlyOffline": true }           devices Offline in the previous run
+ */
+const { deviceRegistry } = require('./deviceRegistry');
+const { runStore } = require('./runStore');
+const { siteHierarchy } = require('./siteHierarchy');
+
+/**
+ * Validate a request body into selection filters
+ * @param {Object} body - Request body
+ * @returns {Object} { serialNumbers, range, site, tag, onlyOffline }, only the given keys
+ */
+function parseSelection(body = {}) {
+    const { sn_list, range, site, tag, onlyOffline } = body || {};
+    const selection = {};
+
+    if (sn_list !== undefined) {
+        if (!Array.isArray(sn_list) || sn_list.length === 0 || !sn_list.every(sn => typeof sn === 'string' && sn.trim())) {
+            throw new Error('sn_list must be a non-empty array of serial numbers');
+        }
+        selection.serialNumbers = [...new Set(sn_list.map(sn => sn.trim()))];
+    }
+    if (range !== undefined) {
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(sn => typeof sn === 'string' && sn.trim())) {
+            throw new Error('range must be [from, to] serial numbers');
+        }
+        selection.range = range.map(sn => sn.trim());
+    }
+    if (site !== undefined) {
+        if (typeof site !== 'string' || !site.trim()) throw new Error('site must be a non-empty string');
+        selection.site = site.trim();
+    }
+    if (tag !== undefined) {
+        if (typeof tag !== 'string' || !tag.trim()) throw new Error('tag must be a non-empty string');
+        selection.tag = tag.trim();
+    }
+    if (onlyOffline !== undefined) {
+        if (typeof onlyOffline !== 'boolean') throw new Error('onlyOffline must be true or false');
+        if (onlyOffline) selection.onlyOffline = true;
+    }
+
+    return selection;
+}
+
+/**
+ * Whether a selection narrows the run below a full sweep
+ * @param {Object} selection - Result of parseSelection
+ * @returns {boolean}
+ */
+function isTargeted(selection) {
+    return Boolean(selection) && Object.keys(selection).length > 0;
+}
+
+/**
+ * Serial numbers of the devices that were Offline in the most recent run
+ * @param {RunStore} store - Run history
+ * @returns {Promise<string[]>} Serial numbers
+ */
+async function previousOfflineSet(store = runStore) {
+    const [previous] = await store.list({ limit: 1 });
+    if (!previous) {
+        throw new Error('onlyOffline needs a previous run, and none is stored');
+    }
+    const devices = await store.getDevices(previous.id);
+    return devices.filter(device => device.status === 'Offline').map(device => device.sn);
+}
+
+/**
+ * Resolve a selection to the serial numbers to fetch, in registry order
+ * @param {Object} selection - Result of parseSelection
+ * @param {Object} sources - { registry, store, hierarchy } (default: the shared instances)
+ * @returns {Promise<string[]>} Serial numbers
+ */
+async function resolveSelection(selection, { registry = deviceRegistry, store = runStore, hierarchy = siteHierarchy } = {}) {
+    const { serialNumbers, range, site, tag, onlyOffline } = selection;
+
+    if (serialNumbers) {
+        const active = new Set(registry.getActiveSerialNumbers());
+        const unknown = serialNumbers.filter(sn => !active.has(sn));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown or decommissioned devices: ${unknown.join(', ')}`);
+        }
+    }
+
+    let wanted = serialNumbers;
+    if (onlyOffline) {
+        const offline = await previousOfflineSet(store);
+        wanted = wanted ? wanted.filter(sn => offline.includes(sn)) : offline;
+    }
+
+    const selected = registry.select({ serialNumbers: wanted, range, tag })
+        .filter(sn => !site || hierarchy.locate(sn).site === site);
+    if (selected.length === 0) {
+        throw new Error(onlyOffline && wanted.length === 0
+            ? 'No devices were offline in the previous run'
+            : 'No active devices match the selection');
+    }
+    return selected;
+}
+
+module.exports = {
+    parseSelection,
+    isTargeted,
+    resolveSelection,
+};
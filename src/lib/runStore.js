@@ -0,0 +1,94 @@
+/**
+ * Run Store Module
+ *
+ * File-backed history of aggregation runs using JSONL:
+ * - {DATA_DIR}/runs.jsonl          one line per run (id, summary, errors, recovery)
+ * - {DATA_DIR}/runs/{id}.jsonl     one line per device reading of that run
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { readJsonLines, toJsonLines } = require('./jsonLines');
+
+class RunStore {
+    constructor(dataDir = config.DATA_DIR) {
+        this.dataDir = dataDir;
+        this.indexFile = path.join(dataDir, 'runs.jsonl');
+        this.devicesDir = path.join(dataDir, 'runs');
+    }
+
+    /**
+     * Persist a report produced by aggregateDeviceData
+     * @param {Object} report - Aggregation report
+     * @returns {Promise<Object>} The stored run record (without devices)
+     */
+    async save(report) {
+        await fs.promises.mkdir(this.devicesDir, { recursive: true });
+
+        const record = {
+            id: report.runId || crypto.randomUUID(),
+            startedAt: report.summary.startedAt,
+            completedAt: report.summary.timestamp,
+            summary: report.summary,
+            errors: report.errors || [],
+            recovery: report.recovery || null,
+            quarantine: report.quarantine || [],
+            sites: report.sites || [],
+            selection: report.selection || null,
+            lanes: report.lanes || [],
+        };
+
+        await fs.promises.writeFile(this.deviceFile(record.id), toJsonLines(report.devices || []));
+        await fs.promises.appendFile(this.indexFile, toJsonLines([record]));
+
+        return record;
+    }
+
+    /**
+     * List stored runs, newest first
+     * @param {Object} options - List options
+     * @param {number} options.limit - Maximum runs to return
+     * @returns {Promise<Object[]>} Run records
+     */
+    async list({ limit } = {}) {
+        const runs = (await readJsonLines(this.indexFile)).reverse();
+        return limit ? runs.slice(0, limit) : runs;
+    }
+
+    /**
+     * Get a single run record
+     * @param {string} id - Run id
+     * @returns {Promise<Object|undefined>} The run record
+     */
+    async get(id) {
+        const runs = await readJsonLines(this.indexFile);
+        return runs.find(run => run.id === id);
+    }
+
+    /**
+     * Get the device readings collected by a run
+     * @param {string} id - Run id
+     * @returns {Promise<Object[]>} Device readings
+     */
+    async getDevices(id) {
+        return readJsonLines(this.deviceFile(id));
+    }
+
+    /**
+     * Path of the per-run device file
+     * @param {string} id - Run id
+     * @returns {string} File path
+     */
+    deviceFile(id) {
+        return path.join(this.devicesDir, `${path.basename(id)}.jsonl`);
+    }
+}
+
+// Singleton instance shared by the entry points and the API routes
+const runStore = new RunStore();
+
+module.exports = {
+    RunStore,
+    runStore,
+};
@@ -0,0 +1,381 @@
+/**
+ * Runtime Configuration Module
+ *
+ * The tunable settings of config.js, validated and merged from layers
+ * (later layers win):
+ *   default  the values in config.js
+ *   file     a JSON object in CONFIG_PATH, reloaded when the file changes
+ *   env      environment variables of the same name
+ *   runtime  overrides set through PATCH /api/config (kept in memory)
+ *   pinned   values an entry point fixes for itself (production.js calls
+ *            its own mock API); no other layer can change them
+ *
+ * The merged values are written into the shared config object, which the
+ * rest of the app keeps reading as before. While a run is in progress
+ * changes are held back and applied when it finishes, so every run sees one
+ * consistent configuration. Each change is logged with a diff and recorded
+ * in the audit log.
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const config = require('../config');
+const { auditLog } = require('./auditLog');
+
+const LAYERS = ['default', 'file', 'env', 'runtime', 'pinned'];
+
+// Settings that can be changed without a restart
+const SCHEMA = {
+    API_BASE_URL: {
+        type: 'url',
+        description: 'Base URL of the upstream API (lanes without their own URL)',
+    },
+    BATCH_SIZE: {
+        type: 'integer', min: 1, max: 10,
+        description: 'Devices per request (the upstream accepts at most 10)',
+    },
+    RATE_LIMIT_MS: {
+        type: 'integer', min: config.RATE_LIMIT_MIN_MS, max: config.RATE_LIMIT_MAX_MS,
+        description: 'Gap between requests on each upstream lane',
+    },
+    RATE_LIMIT_ADAPTIVE: {
+        type: 'boolean',
+        description: 'Learn the request interval from 429 responses',
+    },
+    MAX_RETRIES: {
+        type: 'integer', min: 0, max: 10,
+        description: 'Retries of a failed request',
+    },
+    INITIAL_RETRY_DELAY_MS: {
+        type: 'integer', min: 100, max: 60000,
+        description: 'First retry delay, doubled on each retry',
+    },
+    RECOVERY_ENABLED: {
+        type: 'boolean',
+        description: 'Retry failed batches after the main pass',
+    },
+    RECOVERY_MAX_REQUESTS: {
+        type: 'integer', min: 0, max: 1000,
+        description: 'Request budget of one recovery pass',
+    },
+};
+
+/**
+ * Validate one setting
+ * @param {string} key - Setting name
+ * @param {*} value - Proposed value
+ * @returns {*} The value
+ */
+function validateSetting(key, value) {
+    const rule = SCHEMA[key];
+    if (!rule) {
+        throw new Error(`${key} is not a runtime setting (expected one of ${Object.keys(SCHEMA).join(', ')})`);
+    }
+    if (rule.type === 'integer') {
+        if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+            throw new Error(`${key} must be an integer from ${rule.min} to ${rule.max}, got ${JSON.stringify(value)}`);
+        }
+    } else if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            throw new Error(`${key} must be true or false, got ${JSON.stringify(value)}`);
+        }
+    } else if (rule.type === 'url') {
+        let protocol;
+        try {
+            protocol = new URL(value).protocol;
+        } catch (error) {
+            protocol = null;
+        }
+        if (typeof value !== 'string' || !['http:', 'https:'].includes(protocol)) {
+            throw new Error(`${key} must be an http(s) URL, got ${JSON.stringify(value)}`);
+        }
+    }
+    return value;
+}
+
+/**
+ * Validate a set of settings, reporting every problem at once
+ * @param {Object} values - { KEY: value }
+ * @param {string} origin - Where the values came from, for the error message
+ * @param {boolean} allowNull - Accept null (removes an override)
+ * @returns {Object} The values
+ */
+function validateSettings(values, origin, allowNull = false) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`${origin} must be an object of settings`);
+    }
+    const problems = [];
+    Object.entries(values).forEach(([key, value]) => {
+        if (allowNull && value === null && SCHEMA[key]) return;
+        try {
+            validateSetting(key, value);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    });
+    if (problems.length > 0) {
+        throw new Error(`Invalid ${origin}: ${problems.join('; ')}`);
+    }
+    return values;
+}
+
+/**
+ * Settings given as environment variables, converted to their schema type
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} { KEY: value } of the variables that are set
+ */
+function parseEnv(env) {
+    const values = {};
+    Object.entries(SCHEMA).forEach(([key, rule]) => {
+        const raw = env[key];
+        if (raw === undefined || raw === '') return;
+        if (rule.type === 'integer' && /^-?\d+$/.test(raw.trim())) {
+            values[key] = parseInt(raw, 10);
+        } else if (rule.type === 'boolean' && ['true', 'false', '1', '0'].includes(raw.trim())) {
+            values[key] = ['true', '1'].includes(raw.trim());
+        } else {
+            values[key] = raw.trim();
+        }
+    });
+    return validateSettings(values, 'environment');
+}
+
+/**
+ * Settings whose value differs between two configurations
+ * @param {Object} before - { KEY: value }
+ * @param {Object} after - { KEY: value }
+ * @returns {Object[]} [{ key, from, to }]
+ */
+function diffSettings(before, after) {
+    return Object.keys(SCHEMA)
+        .filter(key => before[key] !== after[key])
+        .map(key => ({ key, from: before[key], to: after[key] }));
+}
+
+class RuntimeConfig extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - JSON settings file (default: config.CONFIG_PATH)
+     * @param {Object} options.env - Environment variables (default: process.env)
+     * @param {Object} options.target - Config object the merged values are written to
+     * @param {AuditLog} options.audit - Where changes are recorded
+     */
+    constructor({ filePath = config.CONFIG_PATH, env = process.env, target = config, audit = auditLog } = {}) {
+        super();
+        this.filePath = filePath || null;
+        this.env = env;
+        this.target = target;
+        this.audit = audit;
+        this.layers = { default: {}, file: {}, env: {}, runtime: {}, pinned: {} };
+        // A run is in progress: changes wait until it finishes
+        this.held = false;
+        this.watching = false;
+    }
+
+    /**
+     * Read the defaults, the settings file and the environment, and apply them
+     * @returns {RuntimeConfig} this
+     */
+    load() {
+        Object.keys(SCHEMA).forEach(key => {
+            this.layers.default[key] = this.target[key];
+        });
+        validateSettings(this.layers.default, 'config.js');
+        this.layers.file = this.readFile();
+        this.layers.env = parseEnv(this.env);
+        this.apply();
+
+        if (this.filePath) {
+            console.log(`⚙️  Loaded ${Object.keys(this.layers.file).length} settings from ${this.filePath}`);
+        }
+        return this;
+    }
+
+    /**
+     * Settings of the settings file ({} without one)
+     * @returns {Object} { KEY: value }
+     */
+    readFile() {
+        if (!this.filePath) return {};
+        return validateSettings(JSON.parse(fs.readFileSync(this.filePath, 'utf8')), this.filePath);
+    }
+
+    /**
+     * Merged value of every setting
+     * @returns {Object} { KEY: value }
+     */
+    effective() {
+        return Object.assign({}, ...LAYERS.map(layer => this.layers[layer]));
+    }
+
+    /**
+     * Layer each setting's value comes from
+     * @param {string} key - Setting name
+     * @returns {string} 'default' | 'file' | 'env' | 'runtime' | 'pinned'
+     */
+    sourceOf(key) {
+        return [...LAYERS].reverse().find(layer => key in this.layers[layer]);
+    }
+
+    /**
+     * Whether changes are waiting for the current run to finish
+     * @returns {boolean}
+     */
+    get pending() {
+        return diffSettings(this.target, this.effective()).length > 0;
+    }
+
+    /**
+     * Set runtime overrides. A null value removes the override, falling back
+     * to the file, env or default value.
+     * @param {Object} patch - { KEY: value|null }
+     * @param {Object} options - { user } making the change, for the log
+     * @returns {Object} { changes: [{ key, from, to }], deferred }
+     */
+    update(patch, { user = null } = {}) {
+        validateSettings(patch, 'configuration', true);
+        const pinned = Object.keys(patch).filter(key => key in this.layers.pinned);
+        if (pinned.length > 0) {
+            throw new Error(`Invalid configuration: ${pinned.join(', ')} is pinned by the server and cannot be changed`);
+        }
+
+        const runtime = { ...this.layers.runtime, ...patch };
+        Object.keys(patch).filter(key => patch[key] === null).forEach(key => delete runtime[key]);
+        return this.change('runtime', runtime, user);
+    }
+
+    /**
+     * Fix a setting for this process, e.g. an entry point's own address.
+     * Not logged; file, env and runtime values of it are ignored from now on.
+     * @param {string} key - Setting name
+     * @param {*} value - Pinned value
+     */
+    pin(key, value) {
+        this.layers.pinned[key] = validateSetting(key, value);
+        if (!this.held) this.apply();
+    }
+
+    /**
+     * Re-read the settings file. An invalid file keeps the current settings.
+     * @returns {Object|null} Result of the change, null when the file could not be read
+     */
+    reloadFile() {
+        let settings;
+        try {
+            settings = this.readFile();
+        } catch (error) {
+            console.warn(`[Config] Could not reload ${this.filePath}: ${error.message}`);
+            return null;
+        }
+        return this.change('file', settings, null);
+    }
+
+    /**
+     * Replace a layer, then log and apply (or hold back) the difference
+     * @param {string} layer - Layer name
+     * @param {Object} values - New contents of the layer
+     * @param {Object|null} user - { name, role } making the change
+     * @returns {Object} { changes, deferred }
+     */
+    change(layer, values, user) {
+        const before = this.effective();
+        this.layers[layer] = values;
+        const changes = diffSettings(before, this.effective());
+        const deferred = this.held;
+        if (changes.length === 0) return { changes, deferred: false };
+
+        const summary = changes.map(({ key, from, to }) => `${key} ${from} → ${to}`).join(', ');
+        console.log(`⚙️  Config change (${layer}${user ? ` by ${user.name}` : ''}): ${summary}` +
+            (deferred ? ' (applies after the current run)' : ''));
+        this.audit.record({
+            event: 'config-change',
+            source: layer,
+            user: user ? user.name : null,
+            role: user ? user.role : null,
+            changes,
+            deferred,
+        }).catch(error => console.error(`Audit log error: ${error.message}`));
+
+        if (!deferred) this.apply();
+        return { changes, deferred };
+    }
+
+    /**
+     * Write the merged settings into the config object
+     * @returns {Object[]} Settings that changed [{ key, from, to }]
+     */
+    apply() {
+        const effective = this.effective();
+        const changes = diffSettings(this.target, effective);
+        Object.assign(this.target, effective);
+        if (changes.length > 0) this.emit('applied', changes);
+        return changes;
+    }
+
+    /**
+     * Hold changes back while a run is in progress
+     */
+    hold() {
+        this.held = true;
+    }
+
+    /**
+     * The run finished: apply the changes made during it
+     * @returns {Object[]} Settings that changed
+     */
+    release() {
+        this.held = false;
+        return this.apply();
+    }
+
+    /**
+     * Every setting with its value, source and constraints (for GET /api/config)
+     * @returns {Object} { file, pending, settings: { KEY: { value, active, source, ... } } }
+     */
+    describe() {
+        const effective = this.effective();
+        const settings = {};
+        Object.entries(SCHEMA).forEach(([key, rule]) => {
+            settings[key] = {
+                value: effective[key],
+                active: this.target[key],
+                source: this.sourceOf(key),
+                ...rule,
+            };
+        });
+        return { file: this.filePath, pending: this.pending, settings };
+    }
+
+    /**
+     * Reload the settings file whenever it changes. Does not keep the
+     * process alive.
+     * @param {number} intervalMs - Poll interval
+     * @returns {RuntimeConfig} this
+     */
+    watch(intervalMs = 2000) {
+        if (!this.filePath || this.watching) return this;
+        this.onFileChange = () => this.reloadFile();
+        fs.watchFile(this.filePath, { interval: intervalMs, persistent: false }, this.onFileChange);
+        this.watching = true;
+        return this;
+    }
+
+    /**
+     * Stop watching the settings file
+     */
+    unwatch() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.filePath, this.onFileChange);
+        this.watching = false;
+    }
+}
+
+// Singleton instance shared by the entry points, the run manager and the config route
+const runtimeConfig = new RuntimeConfig().load().watch(config.CONFIG_RELOAD_INTERVAL_MS);
+
+module.exports = {
+    SCHEMA,
+    RuntimeConfig,
+    runtimeConfig,
+    validateSetting,
+    diffSettings,
+};
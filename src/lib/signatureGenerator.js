@@ -1,10 +1,15 @@
 /**
  * Signature Generator Module
- * 
- * Generates MD5 signatures for API authentication.
- * Signature format: MD5(URL + Token + Timestamp)
+ *
+ * Generates request signatures for API authentication. Supported schemes:
+ * - md5:              MD5(URL + Token + Timestamp)  (legacy firmware)
+ * - hmac-sha256:      HMAC-SHA256(token, METHOD \n PATH \n Timestamp \n Nonce)
+ * - hmac-sha256-body: HMAC-SHA256(token, METHOD \n PATH \n SHA256(body) \n Timestamp \n Nonce)
  */
 const crypto = require('crypto');
+const config = require('../config');
+
+const SIGNATURE_SCHEMES = ['md5', 'hmac-sha256', 'hmac-sha256-body'];
 
 /**
  * Generate an MD5 signature for API authentication
@@ -18,23 +23,70 @@ function generateSignature(url, token, timestamp) {
     return crypto.createHash('md5').update(payload).digest('hex');
 }
 
+/**
+ * Build the string HMAC schemes sign
+ * @param {Object} parts - Request parts
+ * @param {string} parts.scheme - hmac-sha256 or hmac-sha256-body
+ * @param {string} parts.method - HTTP method
+ * @param {string} parts.url - Request path
+ * @param {string} parts.body - Raw request body
+ * @param {string} parts.timestamp - Timestamp in milliseconds
+ * @param {string} parts.nonce - Single-use request id
+ * @returns {string} Canonical string
+ */
+function canonicalString({ scheme, method, url, body = '', timestamp, nonce }) {
+    const lines = [method.toUpperCase(), url];
+    if (scheme === 'hmac-sha256-body') {
+        lines.push(crypto.createHash('sha256').update(body).digest('hex'));
+    }
+    lines.push(timestamp, nonce);
+    return lines.join('\n');
+}
+
+/**
+ * Generate an HMAC-SHA256 signature
+ * @param {string} token - The secret token (HMAC key)
+ * @param {Object} parts - Request parts, see canonicalString
+ * @returns {string} Hex signature
+ */
+function generateHmacSignature(token, parts) {
+    return crypto.createHmac('sha256', token).update(canonicalString(parts)).digest('hex');
+}
+
 /**
  * Generate authentication headers for an API request
  * @param {string} url - The API endpoint URL
  * @param {string} token - The secret token
- * @returns {Object} Headers object with timestamp and signature
+ * @param {Object} options - Signing options
+ * @param {string} options.scheme - One of SIGNATURE_SCHEMES (default: config.SIGNATURE_SCHEME)
+ * @param {string} options.method - HTTP method (HMAC schemes)
+ * @param {string} options.body - Raw request body (hmac-sha256-body)
+ * @returns {Object} Headers object with timestamp and signature (and nonce for HMAC schemes)
  */
-function generateAuthHeaders(url, token) {
+function generateAuthHeaders(url, token, { scheme = config.SIGNATURE_SCHEME, method = 'POST', body = '' } = {}) {
     const timestamp = Date.now().toString();
-    const signature = generateSignature(url, token, timestamp);
 
+    if (scheme === 'md5') {
+        return {
+            timestamp,
+            signature: generateSignature(url, token, timestamp),
+        };
+    }
+    if (!SIGNATURE_SCHEMES.includes(scheme)) {
+        throw new Error(`Unknown signature scheme "${scheme}" (expected ${SIGNATURE_SCHEMES.join(', ')})`);
+    }
+
+    const nonce = crypto.randomUUID();
     return {
         timestamp,
-        signature,
+        nonce,
+        signature: generateHmacSignature(token, { scheme, method, url, body, timestamp, nonce }),
     };
 }
 
 module.exports = {
+    SIGNATURE_SCHEMES,
     generateSignature,
+    generateHmacSignature,
     generateAuthHeaders,
 };
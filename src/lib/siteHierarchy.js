@@ -0,0 +1,251 @@
+/**
+ * Site Hierarchy Module
+ *
+ * Arranges the fleet as site → group (string/combiner) → inverter and rolls
+ * device readings up to each level. The hierarchy comes from a JSON file
+ * (SITES_PATH) giving names and group membership:
+ *
+ * [
+ *   { "id": "north", "name": "North Field", "groups": [
+ *     { "id": "north-c1", "name": "Combiner 1", "range": ["SN-000", "SN-049"] },
+ *     { "id": "north-c2", "name": "Combiner 2", "devices": ["SN-050", "SN-051"] }
+ *   ] }
+ * ]
+ *
+ * Devices not placed by the file fall back to the `site` and `group` fields
+ * of the device registry, and to 'unassigned' without those.
+ */
+const fs = require('fs');
+const config = require('../config');
+const { deviceRegistry, compareSerialNumbers } = require('./deviceRegistry');
+const { readingPowerW } = require('./telemetryNormalizer');
+
+const UNASSIGNED = 'unassigned';
+
+/**
+ * Validate a configured id
+ * @param {*} id - Value from the file
+ * @param {string} what - Description for the error message
+ * @returns {string} The id
+ */
+function requireId(id, what) {
+    if (typeof id !== 'string' || !id.trim()) {
+        throw new Error(`${what} needs an id`);
+    }
+    return id.trim();
+}
+
+/**
+ * Validate and normalize one site of the hierarchy file
+ * @param {Object} entry - Raw site
+ * @returns {Object} { id, name, groups: [{ id, name, devices, range }] }
+ */
+function normalizeSite(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Site entry must be an object');
+    }
+    const id = requireId(entry.id, 'Site');
+    const groups = (entry.groups || []).map(group => {
+        const groupId = requireId(group && group.id, `Group of site ${id}`);
+        if (group.devices !== undefined && !Array.isArray(group.devices)) {
+            throw new Error(`Group ${groupId}: devices must be an array of serial numbers`);
+        }
+        if (group.range !== undefined && (!Array.isArray(group.range) || group.range.length !== 2)) {
+            throw new Error(`Group ${groupId}: range must be [from, to]`);
+        }
+        return {
+            id: groupId,
+            name: group.name ? String(group.name) : groupId,
+            devices: group.devices ? group.devices.map(String) : null,
+            range: group.range ? group.range.map(String) : null,
+        };
+    });
+    return { id, name: entry.name ? String(entry.name) : id, groups };
+}
+
+/**
+ * Availability as a percentage with one decimal, null without readings
+ * @param {number} online - Online devices
+ * @param {number} reported - Devices with a reading
+ * @returns {number|null}
+ */
+function availability(online, reported) {
+    return reported > 0 ? parseFloat((online / reported * 100).toFixed(1)) : null;
+}
+
+class SiteHierarchy {
+    constructor(filePath = config.SITES_PATH, registry = deviceRegistry) {
+        this.filePath = filePath || null;
+        this.registry = registry;
+        this.sites = [];
+    }
+
+    /**
+     * Load the hierarchy file (no file: registry fields only)
+     * @returns {SiteHierarchy} this hierarchy
+     */
+    load() {
+        this.sites = [];
+        if (!this.filePath) return this;
+
+        const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (!Array.isArray(entries)) {
+            throw new Error(`Site hierarchy ${this.filePath} must contain an array of sites`);
+        }
+        const seen = new Set();
+        this.sites = entries.map(normalizeSite);
+        this.sites.forEach(site => {
+            [site.id, ...site.groups.map(group => `${site.id}/${group.id}`)].forEach(key => {
+                if (seen.has(key)) throw new Error(`Duplicate site or group in hierarchy: ${key}`);
+                seen.add(key);
+            });
+        });
+
+        console.log(`🏭 Loaded ${this.sites.length} sites from ${this.filePath}`);
+        return this;
+    }
+
+    /**
+     * Site and group of a device
+     * @param {string} sn - Serial number
+     * @returns {Object} { site, group } ids
+     */
+    locate(sn) {
+        for (const site of this.sites) {
+            for (const group of site.groups) {
+                const listed = group.devices && group.devices.includes(sn);
+                const inRange = group.range &&
+                    compareSerialNumbers(sn, group.range[0]) >= 0 && compareSerialNumbers(sn, group.range[1]) <= 0;
+                if (listed || inRange) return { site: site.id, group: group.id };
+            }
+        }
+        const device = this.registry.get(sn);
+        return {
+            site: (device && device.site) || UNASSIGNED,
+            group: (device && device.group) || UNASSIGNED,
+        };
+    }
+
+    /**
+     * Add site and group ids to readings
+     * @param {Object[]} readings - Device readings
+     * @returns {Object[]} Readings with site and group fields
+     */
+    tag(readings) {
+        return readings.map(reading => ({ ...reading, ...this.locate(reading.sn) }));
+    }
+
+    /**
+     * The hierarchy with the active devices placed in it. Configured sites
+     * come first, in file order, then the others by id.
+     * @returns {Object[]} [{ id, name, deviceCount, groups: [{ id, name, deviceCount, devices }] }]
+     */
+    tree() {
+        const sites = new Map();
+        const siteEntry = (id) => {
+            if (!sites.has(id)) {
+                const configured = this.sites.find(site => site.id === id);
+                sites.set(id, {
+                    id,
+                    name: configured ? configured.name : id,
+                    groups: new Map((configured ? configured.groups : []).map(group =>
+                        [group.id, { id: group.id, name: group.name, devices: [] }])),
+                });
+            }
+            return sites.get(id);
+        };
+        this.sites.forEach(site => siteEntry(site.id));
+
+        this.registry.getActiveSerialNumbers().forEach(sn => {
+            const { site, group } = this.locate(sn);
+            const entry = siteEntry(site);
+            if (!entry.groups.has(group)) {
+                entry.groups.set(group, { id: group, name: group, devices: [] });
+            }
+            entry.groups.get(group).devices.push(sn);
+        });
+
+        const configuredCount = this.sites.length;
+        return [...sites.values()]
+            .map((site, index) => ({ site, index }))
+            .sort((a, b) => (a.index < configuredCount || b.index < configuredCount)
+                ? a.index - b.index
+                : a.site.id.localeCompare(b.site.id))
+            .map(({ site }) => {
+                const groups = [...site.groups.values()].map(group => ({
+                    id: group.id,
+                    name: group.name,
+                    deviceCount: group.devices.length,
+                    devices: group.devices,
+                }));
+                return {
+                    id: site.id,
+                    name: site.name,
+                    deviceCount: groups.reduce((sum, group) => sum + group.deviceCount, 0),
+                    groups,
+                };
+            });
+    }
+
+    /**
+     * One site of the tree
+     * @param {string} id - Site id
+     * @returns {Object|undefined} The site
+     */
+    getSite(id) {
+        return this.tree().find(site => site.id === id);
+    }
+
+    /**
+     * Per-site and per-group totals of a set of readings: total kW,
+     * availability (online share of the devices with a reading) and the
+     * offline devices. Devices of the site without a reading count as
+     * unreported.
+     * @param {Object[]} readings - Device readings of a run
+     * @returns {Object[]} [{ id, name, totalDevices, reportedDevices, onlineDevices,
+     *   offlineDevices, unreportedDevices, totalKw, availabilityPct, groups: [...] }]
+     */
+    rollup(readings) {
+        const bySn = new Map(readings.map(reading => [reading.sn, reading]));
+
+        const summarize = (entry, devices) => {
+            let totalW = 0;
+            let online = 0;
+            let reported = 0;
+            const offline = [];
+            devices.forEach(sn => {
+                const reading = bySn.get(sn);
+                if (!reading) return;
+                reported++;
+                totalW += readingPowerW(reading) || 0;
+                if (reading.status === 'Online') online++;
+                else offline.push(sn);
+            });
+            return {
+                id: entry.id,
+                name: entry.name,
+                totalDevices: devices.length,
+                reportedDevices: reported,
+                onlineDevices: online,
+                offlineDevices: offline,
+                unreportedDevices: devices.length - reported,
+                totalKw: parseFloat((totalW / 1000).toFixed(3)),
+                availabilityPct: availability(online, reported),
+            };
+        };
+
+        return this.tree().map(site => ({
+            ...summarize(site, site.groups.flatMap(group => group.devices)),
+            groups: site.groups.map(group => summarize(group, group.devices)),
+        }));
+    }
+}
+
+// Singleton instance shared by the aggregator and the API routes
+const siteHierarchy = new SiteHierarchy().load();
+
+module.exports = {
+    UNASSIGNED,
+    SiteHierarchy,
+    siteHierarchy,
+};
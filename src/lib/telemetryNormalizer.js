@@ -0,0 +1,122 @@
+/**
+ * Telemetry Normalizer Module
+ *
+ * Validates every device record returned by the API and converts it into a
+ * typed reading:
+ *   { sn: string, status: 'Online'|'Offline', powerW: number, last_updated: ISO string }
+ *
+ * Power arrives as a string with a unit ("3.42 kW") and is stored in watts.
+ * Records that do not match the schema are quarantined with a reason
+ * instead of being counted as devices.
+ */
+
+// Multipliers to watts
+const POWER_UNITS = {
+    W: 1,
+    kW: 1000,
+    MW: 1000000,
+};
+
+const DEVICE_STATUSES = ['Online', 'Offline'];
+
+const POWER_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*([A-Za-z]+)\s*$/;
+
+/**
+ * Parse a power value like "3.42 kW" into watts
+ * @param {string} value - Power with unit (W, kW or MW)
+ * @returns {number} Watts
+ */
+function parsePower(value) {
+    if (typeof value !== 'string') {
+        throw new Error(`power must be a string with a unit, got ${typeof value}`);
+    }
+    const match = value.match(POWER_PATTERN);
+    if (!match) {
+        throw new Error(`power "${value}" is not a number with a unit`);
+    }
+    const multiplier = POWER_UNITS[match[2]];
+    if (multiplier === undefined) {
+        throw new Error(`power unit "${match[2]}" is not one of ${Object.keys(POWER_UNITS).join(', ')}`);
+    }
+    // Round away float noise from the unit conversion (0.07 kW * 1000)
+    return Math.round(parseFloat(match[1]) * multiplier * 1000) / 1000;
+}
+
+/**
+ * Validate one API record and convert it into a reading
+ * @param {Object} record - Raw record from the API
+ * @returns {Object} Normalized reading
+ */
+function normalizeReading(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error('record is not an object');
+    }
+    if (typeof record.sn !== 'string' || record.sn.trim() === '') {
+        throw new Error('sn is missing');
+    }
+    if (!DEVICE_STATUSES.includes(record.status)) {
+        throw new Error(`status "${record.status}" is not one of ${DEVICE_STATUSES.join(', ')}`);
+    }
+
+    const powerW = parsePower(record.power);
+
+    const timestamp = Date.parse(record.last_updated);
+    if (typeof record.last_updated !== 'string' || Number.isNaN(timestamp)) {
+        throw new Error(`last_updated "${record.last_updated}" is not a valid timestamp`);
+    }
+
+    return {
+        sn: record.sn,
+        status: record.status,
+        powerW,
+        last_updated: new Date(timestamp).toISOString(),
+    };
+}
+
+/**
+ * Normalize a batch of API records, separating malformed ones
+ * @param {Object[]} records - Raw records from the API
+ * @returns {Object} { readings, quarantined: [{ sn, reason, record }] }
+ */
+function normalizeReadings(records) {
+    const readings = [];
+    const quarantined = [];
+
+    records.forEach(record => {
+        try {
+            readings.push(normalizeReading(record));
+        } catch (error) {
+            quarantined.push({
+                sn: record && typeof record.sn === 'string' ? record.sn : null,
+                reason: error.message,
+                record,
+            });
+        }
+    });
+
+    return { readings, quarantined };
+}
+
+/**
+ * Power of a stored reading in watts. Runs saved before normalization
+ * only have the raw power string.
+ * @param {Object} device - Reading
+ * @returns {number|null} Watts, or null if unknown
+ */
+function readingPowerW(device) {
+    if (typeof device.powerW === 'number') return device.powerW;
+    try {
+        return parsePower(device.power);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    POWER_UNITS,
+    DEVICE_STATUSES,
+    parsePower,
+    normalizeReading,
+    normalizeReadings,
+    readingPowerW,
+};
@@ -0,0 +1,334 @@
+/**
+ * Telemetry Store Module
+ *
+ * Local time-series storage for device readings with retention and
+ * downsampling. Files live under {DATA_DIR}/telemetry, one per UTC day:
+ * - raw/YYYY-MM-DD.jsonl      every reading, kept for TELEMETRY_RAW_RETENTION_DAYS
+ * - hourly/YYYY-MM-DD.jsonl   per-device hourly averages, kept for TELEMETRY_HOURLY_RETENTION_DAYS
+ *
+ * Finished raw days are downsampled into hourly files before they expire.
+ * A finished day that receives late readings is downsampled again; readings
+ * older than the raw retention are dropped.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { readJsonLines, toJsonLines } = require('./jsonLines');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const RESOLUTIONS = ['raw', 'hour'];
+
+/**
+ * UTC day key (YYYY-MM-DD) for a timestamp
+ * @param {number} ts - Timestamp in milliseconds
+ * @returns {string} Day key
+ */
+function dayKey(ts) {
+    return new Date(ts).toISOString().slice(0, 10);
+}
+
+/**
+ * Day keys covering a time range, oldest first
+ * @param {number} from - Range start (ms)
+ * @param {number} to - Range end (ms)
+ * @returns {string[]} Day keys
+ */
+function dayKeysBetween(from, to) {
+    const keys = [];
+    for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+        keys.push(dayKey(day));
+    }
+    return keys;
+}
+
+/**
+ * Downsample raw readings into per-device hourly buckets
+ * @param {Object[]} readings - Raw readings ({ sn, ts, powerKw, status })
+ * @returns {Object[]} Hourly points sorted by time
+ */
+function downsampleHourly(readings) {
+    const buckets = new Map();
+
+    readings.forEach(reading => {
+        const hour = Math.floor(Date.parse(reading.ts) / HOUR_MS) * HOUR_MS;
+        const key = `${reading.sn}|${hour}`;
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { sn: reading.sn, hour, sum: 0, min: Infinity, max: -Infinity, samples: 0, online: 0 };
+            buckets.set(key, bucket);
+        }
+        bucket.sum += reading.powerKw;
+        bucket.min = Math.min(bucket.min, reading.powerKw);
+        bucket.max = Math.max(bucket.max, reading.powerKw);
+        bucket.samples++;
+        if (reading.status === 'Online') bucket.online++;
+    });
+
+    return [...buckets.values()]
+        .sort((a, b) => a.hour - b.hour || a.sn.localeCompare(b.sn))
+        .map(bucket => ({
+            sn: bucket.sn,
+            ts: new Date(bucket.hour).toISOString(),
+            avgPowerKw: parseFloat((bucket.sum / bucket.samples).toFixed(3)),
+            minPowerKw: bucket.min,
+            maxPowerKw: bucket.max,
+            samples: bucket.samples,
+            onlineRatio: parseFloat((bucket.online / bucket.samples).toFixed(3)),
+        }));
+}
+
+class TelemetryStore {
+    constructor(options = {}) {
+        const dataDir = options.dataDir || config.DATA_DIR;
+        this.rawDir = path.join(dataDir, 'telemetry', 'raw');
+        this.hourlyDir = path.join(dataDir, 'telemetry', 'hourly');
+        this.rawRetentionDays = options.rawRetentionDays || config.TELEMETRY_RAW_RETENTION_DAYS;
+        this.hourlyRetentionDays = options.hourlyRetentionDays || config.TELEMETRY_HOURLY_RETENTION_DAYS;
+    }
+
+    /**
+     * Append the device readings of a run, then compact and prune old files
+     * @param {string} runId - Run the readings belong to
+     * @param {Object[]} devices - Device readings from aggregateDeviceData
+     * @param {number} now - Reference time (ms)
+     * @returns {Promise<number>} Number of readings stored
+     */
+    async record(runId, devices, now = Date.now()) {
+        await fs.promises.mkdir(this.rawDir, { recursive: true });
+
+        const byDay = new Map();
+        devices.forEach(device => {
+            const ts = Date.parse(device.last_updated) || now;
+            const reading = {
+                sn: device.sn,
+                ts: new Date(ts).toISOString(),
+                powerKw: device.powerW / 1000,
+                status: device.status,
+                runId,
+            };
+            const key = dayKey(ts);
+            if (!byDay.has(key)) byDay.set(key, []);
+            byDay.get(key).push(reading);
+        });
+
+        const today = dayKey(now);
+        const rawCutoff = dayKey(now - this.rawRetentionDays * DAY_MS);
+        let stored = 0;
+        for (const [key, readings] of byDay) {
+            // The raw file of that day is gone, so it cannot be downsampled again
+            if (key < rawCutoff) {
+                console.warn(`[Telemetry] Dropped ${readings.length} readings for ${key} (older than raw retention)`);
+                continue;
+            }
+            await fs.promises.appendFile(path.join(this.rawDir, `${key}.jsonl`), toJsonLines(readings));
+            stored += readings.length;
+            // Late readings for a compacted day: drop its hourly file so compact() redoes it
+            if (key < today) {
+                await fs.promises.rm(path.join(this.hourlyDir, `${key}.jsonl`), { force: true });
+            }
+        }
+
+        await this.compact(now);
+        return stored;
+    }
+
+    /**
+     * Downsample finished raw days and delete files past retention
+     * @param {number} now - Reference time (ms)
+     */
+    async compact(now = Date.now()) {
+        await fs.promises.mkdir(this.hourlyDir, { recursive: true });
+
+        const today = dayKey(now);
+        const rawCutoff = dayKey(now - this.rawRetentionDays * DAY_MS);
+        const hourlyCutoff = dayKey(now - this.hourlyRetentionDays * DAY_MS);
+
+        const rawFiles = await fs.promises.readdir(this.rawDir).catch(() => []);
+        const hourlyFiles = new Set(await fs.promises.readdir(this.hourlyDir));
+
+        for (const file of rawFiles) {
+            const key = path.basename(file, '.jsonl');
+            if (key < today && !hourlyFiles.has(file)) {
+                const readings = await readJsonLines(path.join(this.rawDir, file));
+                await fs.promises.writeFile(path.join(this.hourlyDir, file), toJsonLines(downsampleHourly(readings)));
+                hourlyFiles.add(file);
+            }
+            if (key < rawCutoff) {
+                await fs.promises.unlink(path.join(this.rawDir, file));
+            }
+        }
+
+        for (const file of hourlyFiles) {
+            if (path.basename(file, '.jsonl') < hourlyCutoff) {
+                await fs.promises.unlink(path.join(this.hourlyDir, file));
+            }
+        }
+    }
+
+    /**
+     * Day keys of a time range, narrowed to the days that have files so an
+     * open-ended range (e.g. from=0) does not walk thousands of missing days
+     * @param {number} from - Range start (ms)
+     * @param {number} to - Range end (ms)
+     * @returns {Promise<string[]>} Day keys, oldest first
+     */
+    async storedDayKeys(from, to) {
+        const files = [
+            ...await fs.promises.readdir(this.rawDir).catch(() => []),
+            ...await fs.promises.readdir(this.hourlyDir).catch(() => []),
+        ];
+        if (files.length === 0) return [];
+
+        const days = files.map(file => Date.parse(path.basename(file, '.jsonl'))).filter(day => !Number.isNaN(day));
+        return dayKeysBetween(Math.max(from, Math.min(...days)), Math.min(to, Math.max(...days)));
+    }
+
+    /**
+     * Raw readings within a time range
+     * @param {number} from - Range start (ms)
+     * @param {number} to - Range end (ms)
+     * @param {string} sn - Optional serial number filter
+     * @returns {Promise<Object[]>} Readings sorted by time
+     */
+    async readRaw(from, to, sn) {
+        const readings = [];
+        for (const key of await this.storedDayKeys(from, to)) {
+            const lines = await readJsonLines(path.join(this.rawDir, `${key}.jsonl`));
+            lines.forEach(reading => {
+                const ts = Date.parse(reading.ts);
+                if (ts >= from && ts <= to && (!sn || reading.sn === sn)) {
+                    readings.push(reading);
+                }
+            });
+        }
+        return readings.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+    }
+
+    /**
+     * Hourly points within a time range. Days that have not been compacted
+     * yet (e.g. today) are downsampled from raw readings on the fly.
+     * @param {number} from - Range start (ms)
+     * @param {number} to - Range end (ms)
+     * @param {string} sn - Optional serial number filter
+     * @returns {Promise<Object[]>} Hourly points sorted by time
+     */
+    async readHourly(from, to, sn) {
+        const points = [];
+        for (const key of await this.storedDayKeys(from, to)) {
+            let dayPoints = await readJsonLines(path.join(this.hourlyDir, `${key}.jsonl`));
+            if (dayPoints.length === 0) {
+                dayPoints = downsampleHourly(await readJsonLines(path.join(this.rawDir, `${key}.jsonl`)));
+            }
+            dayPoints.forEach(point => {
+                const ts = Date.parse(point.ts);
+                if (ts + HOUR_MS > from && ts <= to && (!sn || point.sn === sn)) {
+                    points.push(point);
+                }
+            });
+        }
+        return points.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+    }
+
+    /**
+     * History of a single device
+     * @param {string} sn - Serial number
+     * @param {Object} range - Query range
+     * @param {number} range.from - Range start (ms)
+     * @param {number} range.to - Range end (ms)
+     * @param {string} range.resolution - 'raw' or 'hour'
+     * @returns {Promise<Object[]>} Points sorted by time
+     */
+    async deviceHistory(sn, { from, to, resolution }) {
+        return resolution === 'raw'
+            ? this.readRaw(from, to, sn)
+            : this.readHourly(from, to, sn);
+    }
+
+    /**
+     * Total fleet power over time. Raw resolution yields one point per run,
+     * hourly resolution sums the per-device hourly averages.
+     * @param {Object} range - Query range (same as deviceHistory)
+     * @param {string[]} serialNumbers - Only sum these devices (e.g. one site)
+     * @returns {Promise<Object[]>} Points ({ ts, totalPowerKw, devices, online })
+     */
+    async fleetHistory({ from, to, resolution }, serialNumbers = null) {
+        const groups = new Map();
+        const wanted = serialNumbers ? new Set(serialNumbers) : null;
+        const included = entry => !wanted || wanted.has(entry.sn);
+
+        if (resolution === 'raw') {
+            (await this.readRaw(from, to)).filter(included).forEach(reading => {
+                let group = groups.get(reading.runId);
+                if (!group) {
+                    group = { ts: reading.ts, totalPowerKw: 0, devices: 0, online: 0 };
+                    groups.set(reading.runId, group);
+                }
+                if (reading.ts < group.ts) group.ts = reading.ts;
+                group.totalPowerKw += reading.powerKw;
+                group.devices++;
+                if (reading.status === 'Online') group.online++;
+            });
+        } else {
+            (await this.readHourly(from, to)).filter(included).forEach(point => {
+                let group = groups.get(point.ts);
+                if (!group) {
+                    group = { ts: point.ts, totalPowerKw: 0, devices: 0, online: 0 };
+                    groups.set(point.ts, group);
+                }
+                group.totalPowerKw += point.avgPowerKw;
+                group.devices++;
+                group.online += point.onlineRatio;
+            });
+        }
+
+        return [...groups.values()]
+            .sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts))
+            .map(group => ({
+                ...group,
+                totalPowerKw: parseFloat(group.totalPowerKw.toFixed(3)),
+                online: Math.round(group.online),
+            }));
+    }
+}
+
+/**
+ * Parse from/to/resolution query parameters into a validated range
+ * @param {Object} query - Express req.query
+ * @returns {Object} { from, to, resolution } or { error }
+ */
+function parseHistoryQuery(query) {
+    const parseTime = value => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+    // Beyond ±8.64e15 ms a Date is invalid and toISOString() throws
+    const isValidTime = ts => !Number.isNaN(new Date(ts).getTime());
+
+    const to = query.to ? parseTime(query.to) : Date.now();
+    const from = query.from ? parseTime(query.from) : to - DAY_MS;
+    if (!isValidTime(from) || !isValidTime(to)) {
+        return { error: 'from and to must be ISO dates or epoch milliseconds' };
+    }
+    if (from > to) {
+        return { error: 'from must be before to' };
+    }
+
+    let resolution = query.resolution || 'auto';
+    if (resolution === 'auto') {
+        resolution = to - from <= DAY_MS ? 'raw' : 'hour';
+    }
+    if (!RESOLUTIONS.includes(resolution)) {
+        return { error: `resolution must be one of: auto, ${RESOLUTIONS.join(', ')}` };
+    }
+
+    return { from, to, resolution };
+}
+
+// Singleton instance shared by the entry points and the API routes
+const telemetryStore = new TelemetryStore();
+
+module.exports = {
+    TelemetryStore,
+    telemetryStore,
+    downsampleHourly,
+    parseHistoryQuery,
+};
@@ -0,0 +1,123 @@
+/**
+ * Token Source Module
+ *
+ * Holds a secret token read from a mounted secrets file (or a fixed value,
+ * e.g. from an env var) and reloads it when the file changes, so tokens can
+ * be rotated without a restart. After a rotation the previous token can
+ * stay accepted for an overlap window, for servers verifying requests that
+ * were signed just before the switch.
+ */
+const fs = require('fs');
+
+class TokenSource {
+    /**
+     * @param {Object} options - Token options
+     * @param {string} options.filePath - Secrets file holding the token; takes precedence over value
+     * @param {string} options.value - Fixed token (e.g. process.env.SECRET_TOKEN)
+     * @param {string} options.name - Label for logs
+     * @param {number} options.overlapMs - How long the previous token stays accepted after a rotation
+     */
+    constructor({ filePath = null, value = null, name = 'token', overlapMs = 0 } = {}) {
+        this.filePath = filePath;
+        this.name = name;
+        this.overlapMs = overlapMs;
+        this.token = value;
+        this.previousToken = null;
+        this.previousValidUntil = 0;
+        this.rotatedAt = null;
+        this.watching = false;
+
+        if (this.filePath) {
+            this.token = this.readFile();
+        }
+        if (!this.token) {
+            throw new Error(`No ${this.name} configured`);
+        }
+    }
+
+    /**
+     * Read the token from the secrets file
+     * @returns {string} Token
+     */
+    readFile() {
+        const token = fs.readFileSync(this.filePath, 'utf8').trim();
+        if (!token) {
+            throw new Error(`${this.filePath} is empty`);
+        }
+        return token;
+    }
+
+    /**
+     * Current token, used for signing
+     * @returns {string} Token
+     */
+    current() {
+        return this.token;
+    }
+
+    /**
+     * Tokens a server should accept: the current one, plus the previous one
+     * during the overlap window after a rotation
+     * @returns {string[]} Tokens
+     */
+    acceptedTokens() {
+        if (this.previousToken && Date.now() < this.previousValidUntil) {
+            return [this.token, this.previousToken];
+        }
+        return [this.token];
+    }
+
+    /**
+     * Re-read the secrets file. A missing or empty file (e.g. mid-swap)
+     * keeps the current token.
+     * @returns {boolean} True if the token changed
+     */
+    refresh() {
+        if (!this.filePath) return false;
+
+        let token;
+        try {
+            token = this.readFile();
+        } catch (error) {
+            console.warn(`[Token] Could not reload ${this.name} from ${this.filePath}: ${error.message}`);
+            return false;
+        }
+        if (token === this.token) return false;
+
+        this.previousToken = this.token;
+        this.previousValidUntil = Date.now() + this.overlapMs;
+        this.token = token;
+        this.rotatedAt = new Date().toISOString();
+        console.log(`🔑 ${this.name} rotated from ${this.filePath}` +
+            (this.overlapMs > 0 ? ` (previous token accepted for ${this.overlapMs}ms)` : ''));
+        return true;
+    }
+
+    /**
+     * Reload the token whenever the secrets file changes. Polls the file,
+     * which also catches the symlink swaps of mounted secret volumes.
+     * Does not keep the process alive.
+     * @param {number} intervalMs - Poll interval
+     * @returns {TokenSource} this
+     */
+    watch(intervalMs = 2000) {
+        if (!this.filePath || this.watching) return this;
+        this.onFileChange = () => this.refresh();
+        fs.watchFile(this.filePath, { interval: intervalMs, persistent: false }, this.onFileChange);
+        this.watching = true;
+        return this;
+    }
+
+    /**
+     * Stop watching the secrets file
+     */
+    unwatch() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.filePath, this.onFileChange);
+        this.watching = false;
+    }
+}
+
+module.exports = {
+    TokenSource,
+};
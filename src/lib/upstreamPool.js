@@ -0,0 +1,240 @@
+/**
+ * Upstream Pool Module
+ *
+ * The upstream API accounts ("lanes") batches are spread across. Each lane
+ * has its own base URL, token and RateLimiter, so lanes run in parallel
+ * while each stays within its own 1 req/sec limit. A lane that keeps
+ * failing is taken out of rotation for the rest of the run.
+ *
+ * Lanes come from UPSTREAMS_PATH, a JSON file of
+ * [{ "name": "eu", "baseUrl": "https://...", "token": "...", "signatureScheme": "hmac-sha256" }]
+ * ("tokenFile" instead of "token" reads a secrets file and reloads it on change).
+ * Without it there is a single lane on API_BASE_URL and SECRET_TOKEN_FILE / SECRET_TOKEN.
+ */
+const fs = require('fs');
+const config = require('../config');
+const { RateLimiter, rateLimiter } = require('./rateLimiter');
+const { TokenSource } = require('./tokenSource');
+const { runtimeConfig } = require('./runtimeConfig');
+
+// Token of lanes without their own, reloaded when SECRET_TOKEN_FILE changes
+const defaultToken = new TokenSource({
+    filePath: config.SECRET_TOKEN_FILE,
+    value: config.SECRET_TOKEN,
+    name: 'SECRET_TOKEN',
+}).watch(config.TOKEN_RELOAD_INTERVAL_MS);
+
+class UpstreamLane {
+    /**
+     * @param {Object} options - Lane definition
+     * @param {string} options.name - Label used in logs, metrics and reports
+     * @param {string} options.baseUrl - API base URL (default: config.API_BASE_URL)
+     * @param {TokenSource} options.tokenSource - Secret token (default: SECRET_TOKEN_FILE / SECRET_TOKEN)
+     * @param {string} options.signatureScheme - Signing scheme (default: config.SIGNATURE_SCHEME)
+     * @param {RateLimiter} options.limiter - Limiter for this lane (default: a new one)
+     */
+    constructor({ name, baseUrl = null, tokenSource = defaultToken, signatureScheme = null, limiter = null }) {
+        this.name = name;
+        this.ownBaseUrl = baseUrl;
+        this.tokenSource = tokenSource;
+        this.ownSignatureScheme = signatureScheme;
+        this.limiter = limiter || new RateLimiter();
+        this.resetStats();
+    }
+
+    // Lanes without their own URL follow the global config, which can
+    // change at runtime (see runtimeConfig)
+    get baseUrl() {
+        return this.ownBaseUrl || config.API_BASE_URL;
+    }
+
+    get token() {
+        return this.tokenSource.current();
+    }
+
+    /**
+     * Re-read the lane's secrets file, e.g. after a 401
+     * @returns {boolean} True if the token changed
+     */
+    refreshToken() {
+        return this.tokenSource.refresh();
+    }
+
+    get signatureScheme() {
+        return this.ownSignatureScheme || config.SIGNATURE_SCHEME;
+    }
+
+    /**
+     * Clear per-run counters and put the lane back in rotation
+     */
+    resetStats() {
+        this.healthy = true;
+        this.requests = 0;
+        this.devices = 0;
+        this.failures = 0;
+        this.consecutiveFailures = 0;
+    }
+
+    /**
+     * Counters for reports and /api/status (never includes the token)
+     * @param {number} elapsedSeconds - Run duration, for throughput
+     * @returns {Object} Lane stats
+     */
+    getStats(elapsedSeconds = 0) {
+        return {
+            name: this.name,
+            baseUrl: this.baseUrl,
+            signatureScheme: this.signatureScheme,
+            tokenRotatedAt: this.tokenSource.rotatedAt,
+            healthy: this.healthy,
+            requests: this.requests,
+            devices: this.devices,
+            failures: this.failures,
+            devicesPerSecond: elapsedSeconds > 0 ? parseFloat((this.devices / elapsedSeconds).toFixed(2)) : 0,
+            rateLimit: this.limiter.getStats(),
+        };
+    }
+}
+
+class UpstreamPool {
+    /**
+     * @param {UpstreamLane[]} lanes - At least one lane
+     * @param {number} failoverThreshold - Consecutive failures before a lane is taken out
+     */
+    constructor(lanes, failoverThreshold = config.LANE_FAILOVER_THRESHOLD) {
+        if (lanes.length === 0) {
+            throw new Error('At least one upstream lane is required');
+        }
+        this.lanes = lanes;
+        this.failoverThreshold = failoverThreshold;
+    }
+
+    /**
+     * Lanes still in rotation
+     * @returns {UpstreamLane[]} Healthy lanes
+     */
+    healthyLanes() {
+        return this.lanes.filter(lane => lane.healthy);
+    }
+
+    /**
+     * Reset every lane at the start of a run
+     */
+    resetStats() {
+        this.lanes.forEach(lane => lane.resetStats());
+    }
+
+    /**
+     * Count a successful request on a lane
+     * @param {UpstreamLane} lane - The lane
+     * @param {number} deviceCount - Devices returned
+     */
+    recordSuccess(lane, deviceCount) {
+        lane.requests++;
+        lane.devices += deviceCount;
+        lane.consecutiveFailures = 0;
+    }
+
+    /**
+     * Count a failed request on a lane, taking it out of rotation once it
+     * reaches the failover threshold. The last healthy lane is never removed.
+     * @param {UpstreamLane} lane - The lane
+     * @returns {boolean} True if the lane was taken out
+     */
+    recordFailure(lane) {
+        lane.requests++;
+        lane.failures++;
+        lane.consecutiveFailures++;
+
+        if (lane.consecutiveFailures >= this.failoverThreshold && this.healthyLanes().length > 1) {
+            lane.healthy = false;
+            console.warn(`[Lane ${lane.name}] ${lane.consecutiveFailures} failures in a row, failing over to other lanes`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Requests waiting across all lane limiters
+     * @returns {number} Queue length
+     */
+    getQueueLength() {
+        return this.lanes.reduce((sum, lane) => sum + lane.limiter.getQueueLength(), 0);
+    }
+
+    /**
+     * Put every lane limiter on the configured interval and mode
+     */
+    configureLimiters() {
+        this.lanes.forEach(lane => lane.limiter.configure({
+            intervalMs: config.RATE_LIMIT_MS,
+            adaptive: config.RATE_LIMIT_ADAPTIVE,
+        }));
+    }
+
+    /**
+     * Stats of every lane
+     * @param {number} elapsedSeconds - Run duration, for throughput
+     * @returns {Object[]} Lane stats
+     */
+    getStats(elapsedSeconds = 0) {
+        return this.lanes.map(lane => lane.getStats(elapsedSeconds));
+    }
+}
+
+/**
+ * Build lanes from UPSTREAMS_PATH, or the single default lane. The first
+ * lane uses the shared rateLimiter so /api/status and /metrics keep
+ * reporting it.
+ * @returns {UpstreamLane[]} Lanes
+ */
+function loadLanes() {
+    if (!config.UPSTREAMS_PATH) {
+        return [new UpstreamLane({ name: 'default', limiter: rateLimiter })];
+    }
+
+    const definitions = JSON.parse(fs.readFileSync(config.UPSTREAMS_PATH, 'utf8'));
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+        throw new Error(`${config.UPSTREAMS_PATH} must contain a non-empty array of upstreams`);
+    }
+
+    const lanes = definitions.map((definition, index) => {
+        if (!definition.baseUrl) {
+            throw new Error(`Upstream ${index} is missing baseUrl`);
+        }
+        const name = definition.name || `lane-${index + 1}`;
+        const tokenSource = definition.token || definition.tokenFile
+            ? new TokenSource({
+                filePath: definition.tokenFile,
+                value: definition.token,
+                name: `${name} token`,
+            }).watch(config.TOKEN_RELOAD_INTERVAL_MS)
+            : defaultToken;
+
+        return new UpstreamLane({
+            name,
+            baseUrl: definition.baseUrl,
+            tokenSource,
+            signatureScheme: definition.signatureScheme,
+            limiter: index === 0 ? rateLimiter : null,
+        });
+    });
+    console.log(`🛣️  Loaded ${lanes.length} upstream lanes from ${config.UPSTREAMS_PATH}`);
+    return lanes;
+}
+
+// Singleton instance shared by the aggregator and the API routes
+const upstreamPool = new UpstreamPool(loadLanes());
+upstreamPool.configureLimiters();
+
+runtimeConfig.on('applied', (changes) => {
+    if (changes.some(change => change.key.startsWith('RATE_LIMIT_'))) {
+        upstreamPool.configureLimiters();
+    }
+});
+
+module.exports = {
+    UpstreamLane,
+    UpstreamPool,
+    upstreamPool,
+};
@@ -5,105 +5,119 @@
  * for deployment purposes. Uses path-based routing.
  */
 const express = require('express');
-const crypto = require('crypto');
 const path = require('path');
 const cors = require('cors');
-const { aggregateDeviceData } = require('./services/aggregator');
+const { runManager } = require('./services/runManager');
+const { scheduler } = require('./services/scheduler');
+const { rateLimiter } = require('./lib/rateLimiter');
+const { upstreamPool } = require('./lib/upstreamPool');
+const { parseSelection, resolveSelection } = require('./lib/runSelection');
+const devicesRouter = require('./routes/devices');
+const runsRouter = require('./routes/runs');
+const fleetRouter = require('./routes/fleet');
+const scheduleRouter = require('./routes/schedule');
+const streamRouter = require('./routes/stream');
+const alertsRouter = require('./routes/alerts');
+const sitesRouter = require('./routes/sites');
+const kpisRouter = require('./routes/kpis');
+const authRouter = require('./routes/auth');
+const auditRouter = require('./routes/audit');
+const configRouter = require('./routes/config');
+const metricsRouter = require('./routes/metrics');
 const config = require('./config');
+const { authenticator, createAccessControl } = require('./lib/auth');
+const { runtimeConfig } = require('./lib/runtimeConfig');
+const { captureRawBody, createSignatureVerifier } = require('../server/signatureVerifier');
+const { TokenSource } = require('./lib/tokenSource');
+const { DeviceSimulator, createQueryHandler, createAdminRouter } = require('../server/deviceSimulator');
 
 const app = express();
 
-// Configure CORS
+// Behind the hosting proxy: client IPs for the audit log, HTTPS for cookies
+app.set('trust proxy', 1);
+
+// Configure CORS: only the listed front-ends (comma-separated FRONTEND_URL)
+// may call the API from another origin; the bundled dashboard is same-origin
+const allowedOrigins = process.env.FRONTEND_URL
+    ? process.env.FRONTEND_URL.split(',').map(origin => origin.trim())
+    : false;
 const corsOptions = {
-    origin: process.env.FRONTEND_URL || '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'signature', 'timestamp'],
+    origin: allowedOrigins,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'signature', 'timestamp', 'nonce'],
     credentials: true
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
-// For the backend instance in production, internal calls should hit itself
-const INTERNAL_PORT = process.env.PORT || 3000;
-config.API_BASE_URL = `http://localhost:${INTERNAL_PORT}`;
+// Sign-in and roles for /api (open when AUTH_USERS_PATH is unset)
+app.use('/api', createAccessControl({ authenticator }));
+app.use('/api/auth', authRouter);
+
+// The backend instance serves the mock API itself, so internal calls always
+// hit its own port, whatever API_BASE_URL the file or env gives
+runtimeConfig.pin('API_BASE_URL', `http://localhost:${config.SERVER_PORT}`);
 
 // ==============================================================================
 // MOCK API SECTION (mounted at /device/*)
 // ==============================================================================
-const SECRET_TOKEN = "interview_token_123";
+// Same token source as the client; the previous token stays accepted for
+// TOKEN_ROTATION_OVERLAP_MS after a rotation
+const mockToken = new TokenSource({
+    filePath: config.SECRET_TOKEN_FILE,
+    value: config.SECRET_TOKEN,
+    name: 'Mock API token',
+    overlapMs: config.TOKEN_ROTATION_OVERLAP_MS,
+}).watch(config.TOKEN_RELOAD_INTERVAL_MS);
+const simulator = new DeviceSimulator({
+    seed: config.SIMULATOR_SEED,
+    scenario: config.SIMULATOR_SCENARIO,
+});
 let lastRequestTime = 0;
 
+// Advertise the 1 req/sec window so clients can pace themselves
+function setRateLimitHeaders(res, resetAt) {
+    res.set({
+        "X-RateLimit-Limit": "1",
+        "X-RateLimit-Remaining": "0",
+        "X-RateLimit-Reset": (resetAt / 1000).toFixed(3),
+    });
+}
+
 // Rate Limiter Middleware for /device routes
 app.use('/device', (req, res, next) => {
     const now = Date.now();
     if (now - lastRequestTime < 950) {
         console.log(`[429] Request rejected. Time since last: ${now - lastRequestTime}ms`);
+        setRateLimitHeaders(res, lastRequestTime + 950);
+        res.set("Retry-After", String(Math.ceil((lastRequestTime + 950 - now) / 1000)));
         return res.status(429).json({ error: "Too Many Requests. Limit: 1 req/sec." });
     }
     lastRequestTime = now;
+    setRateLimitHeaders(res, now + 950);
     next();
 });
 
-// Security Middleware for /device routes
-app.use('/device', (req, res, next) => {
-    const signature = req.headers["signature"];
-    const timestamp = req.headers["timestamp"];
-    const url = req.originalUrl;
-
-    if (!timestamp || !signature) {
-        return res.status(401).json({ error: "Missing headers: signature or timestamp" });
-    }
-
-    const expectedSig = crypto
-        .createHash("md5")
-        .update(url + SECRET_TOKEN + timestamp)
-        .digest("hex");
-
-    if (signature !== expectedSig) {
-        console.log(`[401] Bad Signature. Timestamp: ${timestamp}`);
-        console.log(`      Path: ${url}`);
-        console.log(`      Got: ${signature}`);
-        console.log(`      Expected: ${expectedSig}`);
-        return res.status(401).json({ error: "Invalid Signature" });
-    }
-    next();
-});
+// Security Middleware for /device routes (same scheme the client signs with)
+app.use('/device', createSignatureVerifier({
+    scheme: config.SIGNATURE_SCHEME,
+    getTokens: () => mockToken.acceptedTokens(),
+    replayWindowMs: config.REPLAY_WINDOW_MS,
+}));
 
 // Device Query Endpoint
-app.post("/device/real/query", (req, res) => {
-    const { sn_list } = req.body;
-
-    if (!sn_list || !Array.isArray(sn_list)) {
-        return res.status(400).json({ error: "sn_list array is required" });
-    }
-    if (sn_list.length > 10) {
-        return res.status(400).json({ error: "Batch size limit exceeded (Max 10)" });
-    }
+app.post("/device/real/query", createQueryHandler(simulator));
 
-    const results = sn_list.map((sn) => ({
-        sn: sn,
-        power: (Math.random() * 5).toFixed(2) + " kW",
-        status: Math.random() > 0.1 ? "Online" : "Offline",
-        last_updated: new Date().toISOString(),
-    }));
-
-    console.log(`[200] Success. Processed ${sn_list.length} devices.`);
-    res.json({ data: results });
-});
+// Simulator admin, off unless enabled since this server is public
+if (config.SIMULATOR_ADMIN_ENABLED) {
+    app.use('/admin/simulator', createAdminRouter(simulator));
+}
 
 // ==============================================================================
 // CLIENT API SECTION (/api/*)
 // ==============================================================================
-let aggregationState = {
-    isRunning: false,
-    progress: 0,
-    devices: [],
-    summary: null,
-    errors: [],
-};
-
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({
@@ -115,62 +129,106 @@ app.get('/api/health', (req, res) => {
 
 // Get status
 app.get('/api/status', (req, res) => {
-    res.json(aggregationState);
+    res.json({
+        ...runManager.getState(),
+        rateLimit: rateLimiter.getStats(),
+        upstreams: upstreamPool.getStats(),
+    });
 });
 
-// Start aggregation
+// Start aggregation: every active device, or the selection in the body
+// ({ sn_list }, { range }, { site }, { tag }, { onlyOffline })
 app.post('/api/aggregate', async (req, res) => {
-    if (aggregationState.isRunning) {
+    if (runManager.isRunning()) {
         return res.status(409).json({ error: 'Aggregation already in progress' });
     }
 
-    aggregationState = {
-        isRunning: true,
-        progress: 0,
-        devices: [],
-        summary: null,
-        errors: [],
-        startTime: Date.now(),
-    };
+    let selection;
+    let serialNumbers;
+    try {
+        selection = parseSelection(req.body);
+        serialNumbers = await resolveSelection(selection);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-    res.json({ message: 'Aggregation started', status: 'running' });
+    try {
+        runManager.start({ trigger: 'manual', serialNumbers, selection });
+    } catch (error) {
+        return res.status(409).json({ error: error.message });
+    }
 
-    // Update config to use same-origin API
-    config.API_BASE_URL = `http://localhost:${config.SERVER_PORT}`;
+    res.json({ message: 'Aggregation started', status: 'running', devices: serialNumbers.length, selection });
+});
 
+// Pause, resume or cancel the run in progress (409 when there is nothing to act on)
+app.post('/api/aggregate/pause', (req, res) => {
     try {
-        const report = await aggregateDeviceData((progressData) => {
-            aggregationState.progress = parseFloat(progressData.progress);
-            aggregationState.devices = [...aggregationState.devices, ...progressData.batchResults];
-            aggregationState.onlineCount = progressData.onlineCount;
-            aggregationState.offlineCount = progressData.offlineCount;
-            aggregationState.successCount = progressData.successCount;
-        });
-
-        aggregationState.isRunning = false;
-        aggregationState.summary = report.summary;
-        aggregationState.errors = report.errors || [];
-        aggregationState.progress = 100;
+        runManager.pause();
+        res.json({ message: 'Aggregation paused', status: 'paused' });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
 
+app.post('/api/aggregate/resume', (req, res) => {
+    try {
+        runManager.unpause();
+        res.json({ message: 'Aggregation resumed', status: 'running' });
     } catch (error) {
-        aggregationState.isRunning = false;
-        aggregationState.errors.push({ message: error.message });
+        res.status(409).json({ error: error.message });
     }
 });
 
+app.post('/api/aggregate/cancel', (req, res) => {
+    try {
+        runManager.cancel();
+        res.json({ message: 'Aggregation cancelling; a partial report follows', status: 'cancelling' });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+// Device registry
+app.use('/api/devices', devicesRouter);
+
+// Run history
+app.use('/api/runs', runsRouter);
+
+// Fleet telemetry
+app.use('/api/fleet', fleetRouter);
+
+// Site hierarchy and rollups
+app.use('/api/sites', sitesRouter);
+
+// Energy, availability and performance KPIs
+app.use('/api/kpis', kpisRouter);
+
+// Recurring aggregation schedule
+app.use('/api/schedule', scheduleRouter);
+
+// Live progress stream (Server-Sent Events)
+app.use('/api/stream', streamRouter);
+
+// Alerts
+app.use('/api/alerts', alertsRouter);
+
+// Access audit log
+app.use('/api/audit', auditRouter);
+
+// Runtime configuration
+app.use('/api/config', configRouter);
+
+// Prometheus metrics (viewer role when sign-in is required)
+app.use('/metrics', createAccessControl({ authenticator }), metricsRouter);
+
 // Reset
 app.post('/api/reset', (req, res) => {
-    if (aggregationState.isRunning) {
+    if (runManager.isRunning()) {
         return res.status(409).json({ error: 'Cannot reset while aggregation is running' });
     }
 
-    aggregationState = {
-        isRunning: false,
-        progress: 0,
-        devices: [],
-        summary: null,
-        errors: [],
-    };
+    runManager.reset();
 
     res.json({ message: 'State reset successfully' });
 });
@@ -184,14 +242,26 @@ app.get('/', (req, res) => {
 // START SERVER
 // ==============================================================================
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
     console.log('═══════════════════════════════════════════════════════════');
     console.log('     EnergyGrid Data Aggregator - Production Server');
     console.log('═══════════════════════════════════════════════════════════');
     console.log(`\n🌐 Application running at: http://localhost:${PORT}`);
     console.log(`📡 Internal API Base: ${config.API_BASE_URL}`);
-    console.log(`🔐 Front-end Allowed: ${process.env.FRONTEND_URL || '*'}`);
+    console.log(`🔐 Front-end Allowed: ${process.env.FRONTEND_URL || 'same origin only'}`);
+    console.log(authenticator.enabled
+        ? `🔑 API access: sign-in required (${config.AUTH_USERS_PATH})`
+        : '⚠️  API access: open to anyone (set AUTH_USERS_PATH to require sign-in)');
     console.log('   - Dashboard: /');
     console.log('   - API: /api/*');
     console.log('   - Mock Device API: /device/*\n');
+
+    scheduler.start();
+    console.log(`⏰ Schedule: ${scheduler.describe()}\n`);
+
+    const incomplete = await runManager.findIncompleteRuns();
+    incomplete.forEach(run => {
+        console.log(`⏯️  Incomplete run ${run.runId} (${run.completedBatches}/${run.totalBatches} batches)`);
+        console.log(`   Resume it with: POST /api/runs/${run.runId}/resume\n`);
+    });
 });
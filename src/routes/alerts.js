@@ -0,0 +1,63 @@
+/**
+ * Alert Routes (/api/alerts)
+ *
+ * List alerts raised by the alert rules and acknowledge them.
+ */
+const express = require('express');
+const { alertManager, ALERT_STATES } = require('../services/alertManager');
+
+const router = express.Router();
+
+// List alerts, newest first (?state=open|acknowledged|resolved)
+router.get('/', async (req, res) => {
+    const { state } = req.query;
+    if (state && !Object.values(ALERT_STATES).includes(state)) {
+        return res.status(400).json({ error: `state must be one of: ${Object.values(ALERT_STATES).join(', ')}` });
+    }
+
+    try {
+        const alerts = await alertManager.list({ state });
+        res.json({ count: alerts.length, alerts });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Configured rules
+router.get('/rules', (req, res) => {
+    res.json({ rules: alertManager.rules });
+});
+
+// Get a single alert
+router.get('/:id', async (req, res) => {
+    try {
+        const alert = await alertManager.get(req.params.id);
+        if (!alert) {
+            return res.status(404).json({ error: `Alert ${req.params.id} not found` });
+        }
+        res.json(alert);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Acknowledge an open alert. With sign-in it is recorded under the signed-in
+// user; otherwise under { "by": "name" } from the body.
+router.post('/:id/acknowledge', async (req, res) => {
+    try {
+        const alert = await alertManager.get(req.params.id);
+        if (!alert) {
+            return res.status(404).json({ error: `Alert ${req.params.id} not found` });
+        }
+        if (alert.state !== ALERT_STATES.OPEN) {
+            return res.status(409).json({ error: `Alert ${req.params.id} is ${alert.state}` });
+        }
+
+        const by = req.user ? req.user.name : (req.body && req.body.by) || null;
+        res.json(await alertManager.acknowledge(req.params.id, by));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Audit Routes (/api/audit)
+ *
+ * Read the access audit log (admin only).
+ */
+const express = require('express');
+const { auditLog } = require('../lib/auditLog');
+
+const router = express.Router();
+
+// Recent entries, newest first (?limit=100&event=denied|login|login-failed|login-blocked|logout|config-change)
+router.get('/', async (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    try {
+        const entries = await auditLog.list({ limit, event: req.query.event });
+        res.json({ count: entries.length, entries });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
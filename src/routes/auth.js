@@ -0,0 +1,85 @@
+/**
+ * Auth Routes (/api/auth)
+ *
+ * Dashboard login and logout with a session cookie, and who is signed in.
+ */
+const express = require('express');
+const { authenticator, SESSION_COOKIE, readCookie } = require('../lib/auth');
+const { auditLog } = require('../lib/auditLog');
+
+const router = express.Router();
+
+/**
+ * Session cookie attributes; Secure when the request came over HTTPS
+ * (directly or through a proxy)
+ * @param {Object} req - Express request
+ * @returns {Object} Options for res.cookie
+ */
+function cookieOptions(req) {
+    return {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure || req.get('x-forwarded-proto') === 'https',
+        path: '/',
+    };
+}
+
+// Current user ({ authEnabled, user }); user is null when signed out.
+// The access control middleware has already identified the caller.
+router.get('/me', (req, res) => {
+    if (!authenticator.enabled) {
+        return res.json({ authEnabled: false, user: null });
+    }
+    const user = req.user;
+    res.json({ authEnabled: true, user: user && { name: user.name, role: user.role } });
+});
+
+// Sign in with { username, password }
+router.post('/login', async (req, res) => {
+    if (!authenticator.enabled) {
+        return res.status(404).json({ error: 'Authentication is not configured' });
+    }
+
+    const { username, password } = req.body || {};
+    const retryAfterMs = authenticator.loginRetryAfter(req.ip);
+    if (retryAfterMs > 0) {
+        await auditLog.record({
+            event: 'login-blocked',
+            user: typeof username === 'string' ? username : null,
+            ip: req.ip,
+        }).catch(error => console.error(`Audit log error: ${error.message}`));
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({ error: 'Too many failed logins, try again later' });
+    }
+
+    const session = await authenticator.login(username, password);
+    authenticator.recordLoginAttempt(req.ip, Boolean(session));
+    await auditLog.record({
+        event: session ? 'login' : 'login-failed',
+        user: typeof username === 'string' ? username : null,
+        role: session ? session.role : null,
+        ip: req.ip,
+    }).catch(error => console.error(`Audit log error: ${error.message}`));
+
+    if (!session) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    res.cookie(SESSION_COOKIE, session.token, { ...cookieOptions(req), maxAge: authenticator.sessionTtlMs });
+    res.json({ user: { name: session.username, role: session.role }, expiresAt: new Date(session.expiresAt).toISOString() });
+});
+
+// End the session
+router.post('/logout', async (req, res) => {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) authenticator.logout(token);
+    if (req.user) {
+        await auditLog.record({ event: 'logout', user: req.user.name, role: req.user.role, ip: req.ip })
+            .catch(error => console.error(`Audit log error: ${error.message}`));
+    }
+
+    res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+    res.json({ message: 'Signed out' });
+});
+
+module.exports = router;
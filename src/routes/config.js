@@ -0,0 +1,27 @@
+/**
+ * Config Routes (/api/config)
+ *
+ * View and change the runtime settings (see lib/runtimeConfig).
+ */
+const express = require('express');
+const { runtimeConfig } = require('../lib/runtimeConfig');
+
+const router = express.Router();
+
+// Every setting with its value, source layer and allowed range
+router.get('/', (req, res) => {
+    res.json(runtimeConfig.describe());
+});
+
+// Override settings: { "BATCH_SIZE": 5 }; null removes an override.
+// Applies to the next run (immediately when idle).
+router.patch('/', (req, res) => {
+    try {
+        const { changes, deferred } = runtimeConfig.update(req.body, { user: req.user });
+        res.json({ changes, deferred, ...runtimeConfig.describe() });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+/**
+ * Device Registry Routes (/api/devices)
+ *
+ * List, add, update and decommission devices in the registry,
+ * and read per-device telemetry history and detail.
+ */
+const express = require('express');
+const { deviceRegistry } = require('../lib/deviceRegistry');
+const { telemetryStore, parseHistoryQuery } = require('../lib/telemetryStore');
+const { getDeviceDetail } = require('../lib/deviceDetail');
+
+const router = express.Router();
+
+// List devices (?site=&tag=&includeDecommissioned=true)
+router.get('/', (req, res) => {
+    const devices = deviceRegistry.list({
+        site: req.query.site,
+        tag: req.query.tag,
+        includeDecommissioned: req.query.includeDecommissioned === 'true',
+    });
+    res.json({ count: devices.length, devices });
+});
+
+// Metadata, last reading, power history, status timeline and errors of one
+// device (?from=&to=&resolution=auto|raw|hour)
+router.get('/:sn', async (req, res) => {
+    if (!deviceRegistry.get(req.params.sn)) {
+        return res.status(404).json({ error: `Device ${req.params.sn} not found` });
+    }
+
+    const range = parseHistoryQuery(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+
+    try {
+        res.json(await getDeviceDetail(req.params.sn, range));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Register a new device
+router.post('/', async (req, res) => {
+    const sn = req.body && (req.body.sn || req.body.serial);
+    if (sn && deviceRegistry.get(String(sn).trim())) {
+        return res.status(409).json({ error: `Device ${sn} already exists` });
+    }
+
+    try {
+        const device = await deviceRegistry.add(req.body);
+        res.status(201).json(device);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Update device metadata
+router.put('/:sn', async (req, res) => {
+    if (!deviceRegistry.get(req.params.sn)) {
+        return res.status(404).json({ error: `Device ${req.params.sn} not found` });
+    }
+
+    try {
+        const device = await deviceRegistry.update(req.params.sn, req.body);
+        res.json(device);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Decommission a device (kept in the registry, no longer polled)
+router.delete('/:sn', async (req, res) => {
+    if (!deviceRegistry.get(req.params.sn)) {
+        return res.status(404).json({ error: `Device ${req.params.sn} not found` });
+    }
+
+    try {
+        const device = await deviceRegistry.decommission(req.params.sn);
+        res.json(device);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Power/status history (?from=&to=&resolution=auto|raw|hour)
+router.get('/:sn/history', async (req, res) => {
+    if (!deviceRegistry.get(req.params.sn)) {
+        return res.status(404).json({ error: `Device ${req.params.sn} not found` });
+    }
+
+    const range = parseHistoryQuery(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+
+    try {
+        const points = await telemetryStore.deviceHistory(req.params.sn, range);
+        res.json({
+            sn: req.params.sn,
+            from: new Date(range.from).toISOString(),
+            to: new Date(range.to).toISOString(),
+            resolution: range.resolution,
+            count: points.length,
+            points,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Fleet Routes (/api/fleet)
+ *
+ * Fleet-wide views built from stored telemetry.
+ */
+const express = require('express');
+const { telemetryStore, parseHistoryQuery } = require('../lib/telemetryStore');
+const { siteHierarchy } = require('../lib/siteHierarchy');
+
+const router = express.Router();
+
+// Total fleet power over time (?from=&to=&resolution=auto|raw|hour&site=)
+router.get('/history', async (req, res) => {
+    const range = parseHistoryQuery(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+
+    let site = null;
+    if (req.query.site) {
+        site = siteHierarchy.getSite(req.query.site);
+        if (!site) {
+            return res.status(404).json({ error: `Site ${req.query.site} not found` });
+        }
+    }
+
+    try {
+        const serialNumbers = site ? site.groups.flatMap(group => group.devices) : null;
+        const points = await telemetryStore.fleetHistory(range, serialNumbers);
+        res.json({
+            from: new Date(range.from).toISOString(),
+            to: new Date(range.to).toISOString(),
+            resolution: range.resolution,
+            site: site ? site.id : undefined,
+            count: points.length,
+            points,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * KPI Routes (/api/kpis)
+ *
+ * Energy, availability and performance ratio from stored telemetry,
+ * today so far against the same span yesterday.
+ */
+const express = require('express');
+const { fleetKpis } = require('../lib/kpis');
+const { siteHierarchy } = require('../lib/siteHierarchy');
+
+const router = express.Router();
+
+// KPIs of the fleet or one site (?site=)
+router.get('/', async (req, res) => {
+    let site = null;
+    if (req.query.site) {
+        site = siteHierarchy.getSite(req.query.site);
+        if (!site) {
+            return res.status(404).json({ error: `Site ${req.query.site} not found` });
+        }
+    }
+
+    try {
+        const kpis = await fleetKpis({
+            serialNumbers: site ? site.groups.flatMap(group => group.devices) : null,
+        });
+        res.json({ site: site ? site.id : undefined, generatedAt: new Date().toISOString(), ...kpis });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Metrics Route (/metrics)
+ *
+ * Prometheus scrape endpoint in text exposition format.
+ */
+const express = require('express');
+const metrics = require('../lib/metrics');
+const { rateLimiter } = require('../lib/rateLimiter');
+const { upstreamPool } = require('../lib/upstreamPool');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+    metrics.rateLimiterQueueLength.set(upstreamPool.getQueueLength());
+    metrics.rateLimiterIntervalSeconds.set(rateLimiter.intervalMs / 1000);
+
+    try {
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
+    } catch (error) {
+        res.status(500).send(error.message);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * Run History Routes (/api/runs)
+ *
+ * Browse past aggregation runs and their device readings, export them as
+ * files, and resume runs that were interrupted.
+ */
+const express = require('express');
+const { runStore } = require('../lib/runStore');
+const { checkpointStore } = require('../lib/checkpointStore');
+const { EXPORT_FORMATS, exportRun } = require('../lib/reportExport');
+const { runManager } = require('../services/runManager');
+
+const router = express.Router();
+
+// List runs, newest first (?limit=20)
+router.get('/', async (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    try {
+        const runs = await runStore.list({ limit });
+        res.json({ count: runs.length, runs });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Interrupted runs that can be resumed
+router.get('/incomplete', async (req, res) => {
+    try {
+        const runs = await runManager.findIncompleteRuns();
+        res.json({ count: runs.length, runs });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get a single run
+router.get('/:id', async (req, res) => {
+    try {
+        const run = await runStore.get(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: `Run ${req.params.id} not found` });
+        }
+        res.json(run);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the device readings of a run (?status=Online|Offline)
+router.get('/:id/devices', async (req, res) => {
+    try {
+        const run = await runStore.get(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: `Run ${req.params.id} not found` });
+        }
+
+        let devices = await runStore.getDevices(run.id);
+        if (req.query.status) {
+            devices = devices.filter(device => device.status === req.query.status);
+        }
+        res.json({ runId: run.id, count: devices.length, devices });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download a run's device readings (?format=csv|ndjson|xlsx); id "latest" for the newest run
+router.get('/:id/export', async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    try {
+        const run = req.params.id === 'latest'
+            ? (await runStore.list({ limit: 1 }))[0]
+            : await runStore.get(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: req.params.id === 'latest' ? 'No runs yet' : `Run ${req.params.id} not found` });
+        }
+
+        const devices = await runStore.getDevices(run.id);
+        const file = await exportRun(run, devices, format);
+        res.attachment(file.filename);
+        res.set('Content-Type', file.contentType);
+        res.send(file.body);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Resume an interrupted run from its checkpoint
+router.post('/:id/resume', async (req, res) => {
+    try {
+        const checkpoint = await checkpointStore.get(req.params.id);
+        if (!checkpoint) {
+            return res.status(404).json({ error: `No incomplete run ${req.params.id}` });
+        }
+        if (runManager.isRunning()) {
+            return res.status(409).json({ error: 'Aggregation already in progress' });
+        }
+
+        runManager.resume(checkpoint);
+        res.json({ message: 'Aggregation resumed', status: 'running', runId: checkpoint.runId });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Schedule Routes (/api/schedule)
+ *
+ * View and change the recurring aggregation schedule at runtime.
+ */
+const express = require('express');
+const { scheduler } = require('../services/scheduler');
+
+const router = express.Router();
+
+// Current schedule, next tick and counters
+router.get('/', (req, res) => {
+    res.json(scheduler.getStatus());
+});
+
+// Replace the schedule: { enabled, cron } or { enabled, intervalMs }
+router.put('/', (req, res) => {
+    try {
+        res.json(scheduler.update(req.body || {}));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Site Routes (/api/sites)
+ *
+ * The site → group → inverter hierarchy and per-site rollups of the
+ * latest run.
+ */
+const express = require('express');
+const { siteHierarchy } = require('../lib/siteHierarchy');
+const { runStore } = require('../lib/runStore');
+
+const router = express.Router();
+
+// Sites with their groups and devices
+router.get('/', (req, res) => {
+    const sites = siteHierarchy.tree();
+    res.json({ count: sites.length, sites });
+});
+
+// Rollup of a site from the most recent run that reached its devices
+router.get('/:id/summary', async (req, res) => {
+    const site = siteHierarchy.getSite(req.params.id);
+    if (!site) {
+        return res.status(404).json({ error: `Site ${req.params.id} not found` });
+    }
+
+    try {
+        const runs = await runStore.list();
+        for (const run of runs) {
+            const rollup = (run.sites || []).find(entry => entry.id === site.id);
+            if (rollup && rollup.reportedDevices > 0) {
+                return res.json({ runId: run.id, completedAt: run.completedAt, ...rollup });
+            }
+        }
+        res.json({ runId: null, completedAt: null, ...siteHierarchy.rollup([]).find(entry => entry.id === site.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
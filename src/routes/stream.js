@@ -0,0 +1,54 @@
+/**
+ * Live Stream Route (/api/stream)
+ *
+ * Server-Sent Events feed of aggregation progress. On connect the client
+ * receives a 'snapshot' of the current state, then incremental
+ * 'run-start', 'progress', 'run-paused', 'run-resumed' and 'run-complete'
+ * events.
+ */
+const express = require('express');
+const { runManager } = require('../services/runManager');
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_MS = 15000;
+
+const STREAMED_EVENTS = ['run-start', 'progress', 'run-paused', 'run-resumed', 'run-complete'];
+
+const router = express.Router();
+
+/**
+ * Write one SSE event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+router.get('/', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    sendEvent(res, 'snapshot', runManager.getState());
+
+    const listeners = STREAMED_EVENTS.map(event => {
+        const listener = data => sendEvent(res, event, data);
+        runManager.on(event, listener);
+        return [event, listener];
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        listeners.forEach(([event, listener]) => runManager.off(event, listener));
+    });
+});
+
+module.exports = router;
@@ -2,87 +2,373 @@
  * Aggregator Service
  * 
  * Main orchestration service that coordinates:
- * - Serial number generation
+ * - Device selection from the registry
  * - Batch processing
- * - Rate-limited API calls
+ * - Rate-limited API calls, spread across upstream lanes
+ * - Validation and normalization of every returned record
+ * - Recovery pass for failed batches
+ * - Pause, resume and cancellation through a RunControl
  * - Result aggregation
  */
-const { rateLimiter } = require('../lib/rateLimiter');
+const { upstreamPool } = require('../lib/upstreamPool');
 const { fetchDeviceData } = require('../lib/apiClient');
+const { normalizeReadings } = require('../lib/telemetryNormalizer');
 const { prepareBatches } = require('../lib/batchProcessor');
+const { deviceRegistry } = require('../lib/deviceRegistry');
+const { siteHierarchy } = require('../lib/siteHierarchy');
 const config = require('../config');
 
+/**
+ * Fetch one batch through a lane's rate limiter and normalize its records
+ * @param {string[]} batch - Serial numbers
+ * @param {string} label - Log prefix, e.g. '[3/50]'
+ * @param {UpstreamLane} lane - Upstream lane to use
+ * @returns {Promise<Object>} { readings, quarantined } from normalizeReadings
+ */
+async function fetchBatch(batch, label, lane) {
+    // Use the lane's rate limiter to ensure proper spacing
+    try {
+        const response = await lane.limiter.execute(async () => {
+            console.log(`${label} [${lane.name}] Fetching batch: ${batch[0]} - ${batch[batch.length - 1]}`);
+            return fetchDeviceData(batch, lane);
+        });
+        if (!response || !Array.isArray(response.data)) {
+            throw new Error('Malformed response: data is not an array');
+        }
+
+        const result = normalizeReadings(response.data);
+        result.quarantined.forEach(entry => {
+            console.warn(`${label} Quarantined ${entry.sn || 'record'}: ${entry.reason}`);
+        });
+        upstreamPool.recordSuccess(lane, result.readings.length);
+        return result;
+    } catch (error) {
+        // A call dropped by a cancellation says nothing about the lane
+        if (error.name !== 'AbortError') {
+            upstreamPool.recordFailure(lane);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Record which batch each reading (or quarantined record) came from
+ * (1-based, like report errors)
+ * @param {Object[]} entries - Readings or quarantine entries
+ * @param {number} batchNumber - Batch number
+ * @returns {Object[]} Entries with a batch field
+ */
+function tagBatch(entries, batchNumber) {
+    return entries.map(entry => ({ ...entry, batch: batchNumber }));
+}
+
+/**
+ * Merge readings by serial number. A later reading of a device replaces the
+ * earlier one in its place, so a checkpoint that saw a batch twice (e.g.
+ * recovered, then fetched again on resume) still yields one reading per device.
+ * @param {Object[]} devices - Readings so far
+ * @param {Object[]} incoming - New readings
+ * @returns {Object[]} One reading per device
+ */
+function mergeReadings(devices, incoming) {
+    const bySn = new Map(devices.map(device => [device.sn, device]));
+    incoming.forEach(device => bySn.set(device.sn, device));
+    return [...bySn.values()];
+}
+
+/**
+ * Retry failed batches after the main pass. A batch that fails again is
+ * split in half until single serial numbers remain, so one bad device does
+ * not take its whole batch down with it. Requests rotate over healthy lanes.
+ * A cancellation stops the pass before its next request; the devices left
+ * are reported as failed.
+ * @param {Object[]} failedBatches - { batchIndex, serialNumbers, error }
+ * @param {Function} onRecovered - Called with (batchIndex, readings, quarantined) for each recovered group
+ * @param {Object} options
+ * @param {number} options.maxRequests - Request budget for the whole pass
+ * @param {Function} options.cancelled - Returns true once the run is cancelled
+ * @returns {Promise<Object>} { batchesRetried, requests, recovered: string[], failed: Object[], cancelled }
+ */
+async function recoverFailedBatches(failedBatches, onRecovered, {
+    maxRequests = config.RECOVERY_MAX_REQUESTS,
+    cancelled = () => false,
+} = {}) {
+    console.log(`\n🔁 Recovery pass: retrying ${failedBatches.length} failed batches`);
+
+    const queue = failedBatches.map(failed => ({ ...failed }));
+    const recovered = [];
+    const failed = [];
+    let requests = 0;
+
+    while (queue.length > 0) {
+        const item = queue.shift();
+
+        if (cancelled()) {
+            item.serialNumbers.forEach(sn => failed.push({ sn, error: 'Recovery cancelled' }));
+            continue;
+        }
+        if (requests >= maxRequests) {
+            item.serialNumbers.forEach(sn => failed.push({ sn, error: 'Recovery request budget exhausted' }));
+            continue;
+        }
+        requests++;
+        const lanes = upstreamPool.healthyLanes();
+        const lane = lanes[requests % lanes.length];
+
+        try {
+            const { readings, quarantined } = await fetchBatch(item.serialNumbers, `[Recovery ${requests}]`, lane);
+            recovered.push(...readings.map(device => device.sn));
+            await onRecovered(item.batchIndex, readings, quarantined);
+
+        } catch (error) {
+            if (error.name === 'AbortError' && cancelled()) {
+                // Dropped by the cancellation: stop rather than split
+                queue.unshift(item);
+            } else if (item.serialNumbers.length > 1) {
+                // Split and retry both halves before moving on
+                const middle = Math.ceil(item.serialNumbers.length / 2);
+                queue.unshift(
+                    { ...item, serialNumbers: item.serialNumbers.slice(0, middle), error: error.message },
+                    { ...item, serialNumbers: item.serialNumbers.slice(middle), error: error.message },
+                );
+            } else {
+                console.error(`[Recovery] ${item.serialNumbers[0]} still failing: ${error.message}`);
+                failed.push({ sn: item.serialNumbers[0], error: error.message });
+            }
+        }
+    }
+
+    console.log(`   Recovered ${recovered.length} devices, ${failed.length} still failing (${requests} requests)` +
+        (cancelled() ? ', cancelled' : ''));
+
+    return {
+        batchesRetried: failedBatches.length,
+        requests,
+        recovered,
+        failed,
+        cancelled: cancelled(),
+    };
+}
+
 /**
  * Aggregate telemetry data from all devices
- * @param {Function} onProgress - Progress callback (batchIndex, totalBatches, batchResults)
+ * @param {Function} onProgress - Progress callback (batchIndex, totalBatches, batchResults),
+ *   awaited after each successful batch
+ * @param {Object} options - Run options
+ * @param {string} options.runId - Id of the run, copied into the report
+ * @param {string[]} options.serialNumbers - Devices to fetch (default: active registry devices)
+ * @param {number} options.batchSize - Devices per request (default: config.BATCH_SIZE)
+ * @param {Object} options.resume - Checkpoint of an interrupted run:
+ *   { completedBatches: number[], devices: Object[], startedAt }
+ * @param {RunControl} options.control - Pause/resume/cancel handle. A cancelled
+ *   run stops taking batches and returns a partial report (summary.cancelled).
  * @returns {Promise<Object>} Aggregated results
  */
-async function aggregateDeviceData(onProgress = null) {
+async function aggregateDeviceData(onProgress = null, options = {}) {
+    const {
+        runId = null,
+        serialNumbers = deviceRegistry.getActiveSerialNumbers(),
+        batchSize = config.BATCH_SIZE,
+        resume = null,
+        control = null,
+    } = options;
+
     const startTime = Date.now();
-    const { batches, totalDevices, totalBatches } = prepareBatches();
+    // A resumed run keeps its original start time
+    const startedAt = (resume && resume.startedAt) || new Date(startTime).toISOString();
+    const { batches, totalDevices, totalBatches } = prepareBatches(serialNumbers, batchSize);
+    const completedBatches = new Set(resume ? resume.completedBatches : []);
+    const completedSerials = new Set([...completedBatches].flatMap(index => batches[index] || []));
+    const remainingBatches = totalBatches - completedBatches.size;
+
+    upstreamPool.resetStats();
+    const lanes = upstreamPool.healthyLanes();
+    const intervalMs = Math.max(...lanes.map(lane => lane.limiter.intervalMs));
 
+    if (resume) {
+        console.log(`\n⏯️  Resuming run ${runId}: ${completedBatches.size}/${totalBatches} batches already fetched`);
+    }
     console.log(`\n🚀 Starting aggregation of ${totalDevices} devices in ${totalBatches} batches`);
-    console.log(`   Rate limit: 1 request per ${config.RATE_LIMIT_MS}ms`);
-    console.log(`   Estimated time: ~${totalBatches} seconds\n`);
+    console.log(`   Lanes: ${lanes.map(lane => lane.name).join(', ')}`);
+    console.log(`   Rate limit: 1 request per ${intervalMs}ms per lane (${lanes[0].limiter.getStats().mode})`);
+    console.log(`   Estimated time: ~${Math.ceil(remainingBatches / lanes.length * intervalMs / 1000)} seconds\n`);
 
     const allResults = [];
     const errors = [];
+    const quarantine = [];
     let successCount = 0;
     let onlineCount = 0;
     let offlineCount = 0;
+    let batchesDone = completedBatches.size;
 
-    for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
-        const batchNumber = i + 1;
+    /**
+     * Add fetched devices to the results and counters
+     * @param {Object[]} devices - Device readings
+     */
+    function collect(devices) {
+        allResults.push(...devices);
+        successCount += devices.length;
 
-        try {
-            // Use rate limiter to ensure proper spacing
-            const response = await rateLimiter.execute(async () => {
-                console.log(`[${batchNumber}/${totalBatches}] Fetching batch: ${batch[0]} - ${batch[batch.length - 1]}`);
-                return fetchDeviceData(batch);
-            });
-
-            if (response.data && Array.isArray(response.data)) {
-                allResults.push(...response.data);
-                successCount += response.data.length;
-
-                // Count online/offline
-                response.data.forEach(device => {
-                    if (device.status === 'Online') {
-                        onlineCount++;
-                    } else {
-                        offlineCount++;
-                    }
-                });
+        // Count online/offline
+        devices.forEach(device => {
+            if (device.status === 'Online') {
+                onlineCount++;
+            } else {
+                offlineCount++;
+            }
+        });
+    }
+
+    // Seed results collected before the interruption. Devices of batches that
+    // were only partly recovered are fetched again, so they are left out here.
+    collect(mergeReadings([], resume ? resume.devices : []).filter(device => completedSerials.has(device.sn)));
+
+    // Lanes are fed from one queue, so a faster lane simply takes more batches
+    const pending = batches
+        .map((batch, index) => ({ index, batch, triedLanes: [] }))
+        .filter(item => !completedBatches.has(item.index));
+    let inFlight = 0;
+    const waiters = [];
+    // Resolves when any in-flight batch settles (and may have been handed back)
+    const batchSettled = () => new Promise(resolve => waiters.push(resolve));
+
+    // Pausing holds the lanes' queued requests; cancelling drops them
+    const limiters = [...new Set(lanes.map(lane => lane.limiter))];
+    const onPause = () => limiters.forEach(limiter => limiter.suspend());
+    const onResume = () => limiters.forEach(limiter => limiter.resume());
+    const onCancel = () => limiters.forEach(limiter => limiter.drain(control.signal.reason));
+    if (control) {
+        control.on('pause', onPause);
+        control.on('resume', onResume);
+        control.signal.addEventListener('abort', onCancel);
+    }
+    const cancelled = () => Boolean(control && control.cancelled);
+
+    // Lanes finish batches concurrently; progress callbacks still run one at a time
+    let progressChain = Promise.resolve();
+    const reportProgress = (progressData) => {
+        const reported = progressChain.then(() => onProgress(progressData));
+        progressChain = reported.catch(() => {});
+        return reported;
+    };
+
+    /**
+     * Work through the queue on one lane until no work is left for it or the
+     * lane is taken out. A failed batch goes back on the queue for a healthy
+     * lane that has not tried it yet; once no such lane is left it is
+     * recorded as an error.
+     * @param {UpstreamLane} lane - The lane
+     */
+    async function runLane(lane) {
+        while (lane.healthy && !cancelled()) {
+            if (control && control.paused) {
+                await control.waitWhilePaused();
+                continue;
+            }
+            const next = pending.findIndex(item => !item.triedLanes.includes(lane.name));
+            if (next === -1) {
+                // Idle lanes stay around while another lane might hand a batch back
+                if (inFlight === 0) break;
+                await batchSettled();
+                continue;
+            }
+            const item = pending.splice(next, 1)[0];
+            const batchNumber = item.index + 1;
+            inFlight++;
+
+            try {
+                const { readings, quarantined } = await fetchBatch(item.batch, `[${batchNumber}/${totalBatches}]`, lane);
+                const devices = siteHierarchy.tag(tagBatch(readings, batchNumber));
+                collect(devices);
+                quarantine.push(...tagBatch(quarantined, batchNumber));
+                batchesDone++;
 
                 // Progress callback
                 if (onProgress) {
-                    onProgress({
-                        batchIndex: i,
+                    await reportProgress({
+                        batchIndex: item.index,
+                        batchesDone,
                         totalBatches,
-                        batchResults: response.data,
-                        progress: ((i + 1) / totalBatches * 100).toFixed(1),
+                        batchResults: devices,
+                        progress: (batchesDone / totalBatches * 100).toFixed(1),
+                        lane: lane.name,
                         successCount,
                         onlineCount,
                         offlineCount,
                     });
                 }
+            } catch (error) {
+                if (error.name === 'AbortError' && cancelled()) {
+                    // Never sent; it is reported as skipped, not failed
+                    pending.push(item);
+                    continue;
+                }
+                console.error(`[${batchNumber}/${totalBatches}] [${lane.name}] Error: ${error.message}`);
+                item.triedLanes.push(lane.name);
+
+                const fallback = lanes.find(other =>
+                    other.healthy && !item.triedLanes.includes(other.name));
+                if (fallback) {
+                    pending.push(item);
+                } else {
+                    errors.push({
+                        batch: batchNumber,
+                        serialNumbers: item.batch,
+                        error: error.message,
+                    });
+                }
+            } finally {
+                inFlight--;
+                waiters.splice(0).forEach(resolve => resolve());
             }
-        } catch (error) {
-            console.error(`[${batchNumber}/${totalBatches}] Error: ${error.message}`);
-            errors.push({
-                batch: batchNumber,
-                serialNumbers: batch,
-                error: error.message,
-            });
         }
     }
 
+    await Promise.all(lanes.map(runLane));
+    errors.sort((a, b) => a.batch - b.batch);
+
+    let recovery;
+    if (config.RECOVERY_ENABLED && errors.length > 0 && !cancelled()) {
+        const failedBatches = errors.map(err => ({
+            batchIndex: err.batch - 1,
+            serialNumbers: err.serialNumbers,
+            error: err.error,
+        }));
+
+        recovery = await recoverFailedBatches(failedBatches, async (batchIndex, readings, quarantined) => {
+            const devices = siteHierarchy.tag(tagBatch(readings, batchIndex + 1));
+            collect(devices);
+            quarantine.push(...tagBatch(quarantined, batchIndex + 1));
+            if (onProgress) {
+                await onProgress({
+                    batchIndex,
+                    batchesDone,
+                    totalBatches,
+                    batchResults: devices,
+                    progress: '100.0',
+                    recovery: true,
+                    successCount,
+                    onlineCount,
+                    offlineCount,
+                });
+            }
+        }, { cancelled });
+    }
+
+    if (control) {
+        control.off('pause', onPause);
+        control.off('resume', onResume);
+        control.signal.removeEventListener('abort', onCancel);
+    }
+
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
+    // Batches skipped by a cancellation were never sent
+    const attemptedBatches = remainingBatches - pending.length;
 
     // Generate summary report
     const report = {
+        runId,
         summary: {
             totalDevices,
             successfulFetches: successCount,
@@ -92,21 +378,45 @@ async function aggregateDeviceData(onProgress = null) {
             totalBatches,
             errorsCount: errors.length,
             durationSeconds: parseFloat(duration),
-            averageRequestTime: (duration / totalBatches).toFixed(3),
+            averageRequestTime: attemptedBatches > 0 ? (duration / attemptedBatches).toFixed(3) : '0.000',
+            resumedBatches: completedBatches.size,
+            recoveredDevices: recovery ? recovery.recovered.length : 0,
+            quarantinedRecords: quarantine.length,
+            cancelled: cancelled(),
+            skippedBatches: pending.length,
+            pausedSeconds: control ? parseFloat((control.pausedMs / 1000).toFixed(2)) : 0,
+            startedAt,
             timestamp: new Date().toISOString(),
         },
         devices: allResults,
+        sites: siteHierarchy.rollup(allResults),
         errors: errors.length > 0 ? errors : undefined,
+        recovery,
+        quarantine,
+        lanes: upstreamPool.getStats(parseFloat(duration)),
     };
 
-    console.log(`\n✅ Aggregation complete!`);
+    if (cancelled()) {
+        console.log(`\n⏹️  Aggregation cancelled: ${control.signal.reason.message}`);
+        console.log(`   Skipped batches: ${pending.length}`);
+    } else {
+        console.log(`\n✅ Aggregation complete!`);
+    }
     console.log(`   Total devices: ${successCount}/${totalDevices}`);
     console.log(`   Online: ${onlineCount} | Offline: ${offlineCount}`);
-    console.log(`   Duration: ${duration}s\n`);
+    if (quarantine.length > 0) {
+        console.log(`   Quarantined: ${quarantine.length} malformed records`);
+    }
+    console.log(`   Duration: ${duration}s`);
+    report.lanes.forEach(lane => {
+        console.log(`   Lane ${lane.name}: ${lane.devices} devices, ${lane.devicesPerSecond}/s${lane.healthy ? '' : ' (failed over)'}`);
+    });
+    console.log('');
 
     return report;
 }
 
 module.exports = {
     aggregateDeviceData,
+    mergeReadings,
 };
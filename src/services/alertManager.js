@@ -0,0 +1,252 @@
+/**
+ * Alert Manager Service
+ *
+ * Evaluates alert rules against every aggregation report and tracks the
+ * resulting alerts through open → acknowledged → resolved. State changes
+ * are sent to the configured notifiers. Alerts and per-device offline
+ * streaks are kept in {DATA_DIR}/alerts.json.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { deviceRegistry } = require('../lib/deviceRegistry');
+const { DEFAULT_RULES, validateRule, evaluateRule } = require('../lib/alertRules');
+const { WebhookNotifier, LogFileNotifier } = require('../lib/notifiers');
+
+const ALERT_STATES = {
+    OPEN: 'open',
+    ACKNOWLEDGED: 'acknowledged',
+    RESOLVED: 'resolved',
+};
+
+// Resolved alerts kept in the store; open and acknowledged are never dropped
+const MAX_RESOLVED_ALERTS = 1000;
+
+class AlertManager {
+    constructor({ rules = DEFAULT_RULES, notifiers = [], filePath, registry = deviceRegistry } = {}) {
+        this.rules = rules.map(validateRule);
+        this.notifiers = notifiers;
+        this.filePath = filePath || path.join(config.DATA_DIR, 'alerts.json');
+        this.registry = registry;
+        this.alerts = [];
+        this.streaks = {};
+        this.loaded = false;
+    }
+
+    /**
+     * Load alerts and streaks from disk (once)
+     */
+    async load() {
+        if (this.loaded) return;
+        try {
+            const stored = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this.alerts = stored.alerts || [];
+            this.streaks = stored.streaks || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        this.loaded = true;
+    }
+
+    /**
+     * Write alerts and streaks to disk
+     */
+    async save() {
+        const active = this.alerts.filter(alert => alert.state !== ALERT_STATES.RESOLVED);
+        const resolved = this.alerts.filter(alert => alert.state === ALERT_STATES.RESOLVED);
+        this.alerts = [...active, ...resolved.slice(-MAX_RESOLVED_ALERTS)];
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(this.filePath, JSON.stringify({
+            alerts: this.alerts,
+            streaks: this.streaks,
+        }, null, 2));
+    }
+
+    /**
+     * Evaluate all rules against a finished run, opening new alerts and
+     * resolving those whose condition has cleared
+     * @param {Object} report - Report from aggregateDeviceData
+     * @param {string} runId - Id of the stored run
+     * @returns {Promise<Object>} { opened, resolved } alerts
+     */
+    async evaluate(report, runId) {
+        await this.load();
+
+        const devices = report.devices || [];
+        // Devices missing from the report (failed batches) keep their streak
+        devices.forEach(device => {
+            this.streaks[device.sn] = device.status === 'Offline' ? (this.streaks[device.sn] || 0) + 1 : 0;
+        });
+
+        const context = { devices, registry: this.registry, streaks: this.streaks };
+        const now = new Date().toISOString();
+        const firing = new Set();
+        const opened = [];
+        const resolved = [];
+
+        this.rules.forEach(rule => {
+            evaluateRule(rule, context).forEach(finding => {
+                const key = `${rule.id}:${finding.subject}`;
+                firing.add(key);
+
+                const existing = this.findActive(key);
+                if (existing) {
+                    existing.message = finding.message;
+                    existing.value = finding.value;
+                    existing.lastSeenAt = now;
+                    existing.lastRunId = runId;
+                    return;
+                }
+
+                const alert = {
+                    id: crypto.randomUUID(),
+                    key,
+                    ruleId: rule.id,
+                    ruleType: rule.type,
+                    severity: rule.severity,
+                    subject: finding.subject,
+                    message: finding.message,
+                    value: finding.value,
+                    state: ALERT_STATES.OPEN,
+                    openedAt: now,
+                    lastSeenAt: now,
+                    acknowledgedAt: null,
+                    acknowledgedBy: null,
+                    resolvedAt: null,
+                    runId,
+                    lastRunId: runId,
+                };
+                this.alerts.push(alert);
+                opened.push(alert);
+            });
+        });
+
+        this.alerts
+            .filter(alert => alert.state !== ALERT_STATES.RESOLVED && !firing.has(alert.key))
+            .forEach(alert => {
+                alert.state = ALERT_STATES.RESOLVED;
+                alert.resolvedAt = now;
+                resolved.push(alert);
+            });
+
+        await this.save();
+
+        for (const alert of opened) await this.dispatch('opened', alert);
+        for (const alert of resolved) await this.dispatch('resolved', alert);
+
+        if (opened.length > 0 || resolved.length > 0) {
+            console.log(`🔔 Alerts: ${opened.length} opened, ${resolved.length} resolved`);
+        }
+
+        return { opened, resolved };
+    }
+
+    /**
+     * Open or acknowledged alert for a rule/subject key
+     * @param {string} key - `${ruleId}:${subject}`
+     * @returns {Object|undefined} The alert
+     */
+    findActive(key) {
+        return this.alerts.find(alert => alert.key === key && alert.state !== ALERT_STATES.RESOLVED);
+    }
+
+    /**
+     * List alerts, newest first
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.state - open, acknowledged or resolved
+     * @returns {Promise<Object[]>} Alerts
+     */
+    async list({ state } = {}) {
+        await this.load();
+        return this.alerts
+            .filter(alert => !state || alert.state === state)
+            .slice()
+            .reverse();
+    }
+
+    /**
+     * Get a single alert
+     * @param {string} id - Alert id
+     * @returns {Promise<Object|undefined>} The alert
+     */
+    async get(id) {
+        await this.load();
+        return this.alerts.find(alert => alert.id === id);
+    }
+
+    /**
+     * Acknowledge an open alert. It stays active until its condition clears.
+     * @param {string} id - Alert id
+     * @param {string} by - Who acknowledged it
+     * @returns {Promise<Object>} The alert
+     */
+    async acknowledge(id, by = null) {
+        const alert = await this.get(id);
+        if (!alert) {
+            throw new Error(`Alert ${id} not found`);
+        }
+        if (alert.state !== ALERT_STATES.OPEN) {
+            throw new Error(`Alert ${id} is ${alert.state}`);
+        }
+
+        alert.state = ALERT_STATES.ACKNOWLEDGED;
+        alert.acknowledgedAt = new Date().toISOString();
+        alert.acknowledgedBy = by;
+        await this.save();
+        await this.dispatch('acknowledged', alert);
+        return alert;
+    }
+
+    /**
+     * Send an event to every notifier; a failing notifier does not stop the others
+     * @param {string} type - opened, acknowledged or resolved
+     * @param {Object} alert - The alert
+     */
+    async dispatch(type, alert) {
+        const event = { type, alert, timestamp: new Date().toISOString() };
+        for (const notifier of this.notifiers) {
+            try {
+                await notifier.notify(event);
+            } catch (error) {
+                console.error(`[Alert] ${notifier.name} notifier failed: ${error.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Rules from ALERT_RULES_PATH, or the built-in defaults
+ * @returns {Object[]} Rule definitions
+ */
+function loadRules() {
+    if (!config.ALERT_RULES_PATH) return DEFAULT_RULES;
+    return JSON.parse(fs.readFileSync(config.ALERT_RULES_PATH, 'utf8'));
+}
+
+/**
+ * Notifiers from configuration: always a log file, plus a webhook when set
+ * @returns {Object[]} Notifiers
+ */
+function createNotifiers() {
+    const notifiers = [
+        new LogFileNotifier(config.ALERT_LOG_FILE || path.join(config.DATA_DIR, 'alerts.log')),
+    ];
+    if (config.ALERT_WEBHOOK_URL) {
+        notifiers.push(new WebhookNotifier(config.ALERT_WEBHOOK_URL));
+    }
+    return notifiers;
+}
+
+// Singleton instance shared by the run manager and the API routes
+const alertManager = new AlertManager({
+    rules: loadRules(),
+    notifiers: createNotifiers(),
+});
+
+module.exports = {
+    ALERT_STATES,
+    AlertManager,
+    alertManager,
+};
@@ -0,0 +1,311 @@
+/**
+ * Run Manager Service
+ *
+ * Owns the state of the current aggregation run so the HTTP routes and the
+ * scheduler start runs the same way:
+ * - Tracks progress reported by aggregateDeviceData
+ * - Checkpoints completed batches so interrupted runs can be resumed
+ * - Saves finished reports to the run history and telemetry stores
+ * - Evaluates alert rules against each finished report
+ * - Prevents overlapping runs
+ * - Holds runtime config changes back until the run in progress finishes
+ * - Pauses, resumes and cancels the run in progress
+ * - Emits 'run-start', 'progress', 'run-paused', 'run-resumed' and
+ *   'run-complete' events for live streaming
+ */
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const config = require('../config');
+const { aggregateDeviceData, mergeReadings } = require('./aggregator');
+const { deviceRegistry } = require('../lib/deviceRegistry');
+const { runStore } = require('../lib/runStore');
+const { checkpointStore, describeCheckpoint } = require('../lib/checkpointStore');
+const { telemetryStore } = require('../lib/telemetryStore');
+const { alertManager } = require('./alertManager');
+const { RunControl } = require('../lib/runControl');
+const { isTargeted } = require('../lib/runSelection');
+const { runtimeConfig } = require('../lib/runtimeConfig');
+const metrics = require('../lib/metrics');
+
+/**
+ * Fresh state for when no run has started
+ * @returns {Object} Idle aggregation state
+ */
+function createIdleState() {
+    return {
+        isRunning: false,
+        paused: false,
+        cancelled: false,
+        progress: 0,
+        devices: [],
+        summary: null,
+        errors: [],
+        quarantine: [],
+        sites: [],
+    };
+}
+
+class RunManager extends EventEmitter {
+    constructor() {
+        super();
+        // Every connected dashboard stream subscribes to the run events
+        this.setMaxListeners(0);
+        this.state = createIdleState();
+        // Control of the run in progress, null when idle
+        this.control = null;
+    }
+
+    /**
+     * Current aggregation state (served by /api/status)
+     * @returns {Object} State object
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Whether a run is in progress
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.state.isRunning;
+    }
+
+    /**
+     * Start a new run. The returned promise settles when the run has
+     * finished and never rejects; failures are recorded in state.errors.
+     * @param {Object} options - Run options
+     * @param {string} options.trigger - What started the run ('manual', 'schedule', ...)
+     * @param {string[]} options.serialNumbers - Devices to fetch (default: active registry devices)
+     * @param {number} options.batchSize - Devices per request (default: config.BATCH_SIZE)
+     * @param {Object} options.selection - Filters serialNumbers came from, for a
+     *   targeted run (see runSelection); null for a full sweep
+     * @returns {Promise<Object>} Final state
+     */
+    start({
+        trigger = 'manual',
+        serialNumbers = deviceRegistry.getActiveSerialNumbers(),
+        batchSize = config.BATCH_SIZE,
+        selection = null,
+    } = {}) {
+        return this.launch({
+            runId: crypto.randomUUID(),
+            trigger,
+            startedAt: new Date().toISOString(),
+            serialNumbers,
+            batchSize,
+            selection: isTargeted(selection) ? selection : null,
+            completedBatches: [],
+            devices: [],
+        });
+    }
+
+    /**
+     * Continue an interrupted run from its checkpoint, fetching only the
+     * batches that are still missing
+     * @param {Object} checkpoint - Checkpoint loaded from the checkpoint store
+     * @returns {Promise<Object>} Final state
+     */
+    resume(checkpoint) {
+        return this.launch(checkpoint, { resumed: true });
+    }
+
+    /**
+     * Set up state for a run and execute it
+     * @param {Object} checkpoint - Checkpoint the run starts from
+     * @param {Object} options - { resumed }
+     * @returns {Promise<Object>} Final state
+     */
+    launch(checkpoint, { resumed = false } = {}) {
+        if (this.state.isRunning) {
+            throw new Error('Aggregation already in progress');
+        }
+
+        this.state = {
+            ...createIdleState(),
+            isRunning: true,
+            runId: checkpoint.runId,
+            startTime: Date.now(),
+            trigger: checkpoint.trigger,
+            resumed,
+            selection: checkpoint.selection || null,
+            devices: mergeReadings([], checkpoint.devices),
+        };
+        this.control = new RunControl();
+        runtimeConfig.hold();
+
+        this.emit('run-start', {
+            runId: checkpoint.runId,
+            startTime: this.state.startTime,
+            trigger: checkpoint.trigger,
+            resumed,
+            selection: checkpoint.selection || null,
+            totalDevices: checkpoint.serialNumbers.length,
+            devices: this.state.devices,
+        });
+
+        return this.execute(this.state, checkpoint, this.control);
+    }
+
+    /**
+     * Pause the run in progress: no new batches start until unpause()
+     */
+    pause() {
+        if (!this.state.isRunning) {
+            throw new Error('No aggregation in progress');
+        }
+        if (!this.control.pause()) {
+            throw new Error(this.control.cancelled ? 'Aggregation is being cancelled' : 'Aggregation already paused');
+        }
+        this.state.paused = true;
+        this.emit('run-paused', { runId: this.state.runId, batchesDone: this.state.batchesDone || 0 });
+    }
+
+    /**
+     * Continue a paused run
+     */
+    unpause() {
+        if (!this.state.isRunning) {
+            throw new Error('No aggregation in progress');
+        }
+        if (!this.control.resume()) {
+            throw new Error('Aggregation is not paused');
+        }
+        this.state.paused = false;
+        this.emit('run-resumed', { runId: this.state.runId, batchesDone: this.state.batchesDone || 0 });
+    }
+
+    /**
+     * Cancel the run in progress. Requests already sent finish; the rest are
+     * skipped and the run completes with a partial report.
+     * @param {string} reason - Recorded in the logs
+     */
+    cancel(reason = 'Cancelled by user') {
+        if (!this.state.isRunning) {
+            throw new Error('No aggregation in progress');
+        }
+        if (!this.control.cancel(reason)) {
+            throw new Error('Aggregation is already being cancelled');
+        }
+        this.state.paused = false;
+        this.state.cancelled = true;
+    }
+
+    /**
+     * Run the aggregation, checkpointing each completed batch, and persist its report
+     * @param {Object} state - State object of this run
+     * @param {Object} checkpoint - Checkpoint of this run (updated in place)
+     * @param {RunControl} control - Pause/cancel handle of this run
+     * @returns {Promise<Object>} Final state
+     */
+    async execute(state, checkpoint, control) {
+        try {
+            const report = await aggregateDeviceData(async (progressData) => {
+                state.progress = parseFloat(progressData.progress);
+                state.devices = mergeReadings(state.devices, progressData.batchResults);
+                state.batchIndex = progressData.batchIndex;
+                state.batchesDone = progressData.batchesDone;
+                state.totalBatches = progressData.totalBatches;
+                state.onlineCount = progressData.onlineCount;
+                state.offlineCount = progressData.offlineCount;
+                state.successCount = progressData.successCount;
+
+                this.emit('progress', { ...progressData, progress: state.progress });
+
+                // Recovered devices may cover only part of their batch, so the
+                // batch is not marked complete; a resume fetches it again
+                if (!progressData.recovery) {
+                    checkpoint.completedBatches.push(progressData.batchIndex);
+                }
+                checkpoint.devices = mergeReadings(checkpoint.devices, progressData.batchResults);
+                await this.saveCheckpoint(checkpoint);
+            }, {
+                runId: checkpoint.runId,
+                serialNumbers: checkpoint.serialNumbers,
+                batchSize: checkpoint.batchSize,
+                resume: checkpoint.completedBatches.length > 0 ? checkpoint : null,
+                control,
+            });
+            report.selection = checkpoint.selection || null;
+
+            state.isRunning = false;
+            state.paused = false;
+            state.summary = report.summary;
+            state.errors = report.errors || [];
+            state.recovery = report.recovery || null;
+            state.quarantine = report.quarantine || [];
+            state.sites = report.sites || [];
+            state.lanes = report.lanes;
+            state.progress = 100;
+            if (report.summary.cancelled) {
+                metrics.recordCancelledRun(report);
+            } else {
+                metrics.recordRun(report);
+            }
+
+            await runStore.save(report);
+            await checkpointStore.remove(checkpoint.runId);
+            await telemetryStore.record(report.runId, report.devices);
+            // Alert streaks count full sweeps; a targeted or cancelled run
+            // sees too few devices to open or resolve alerts
+            if (!report.selection && !report.summary.cancelled) {
+                await alertManager.evaluate(report, report.runId);
+            }
+
+        } catch (error) {
+            if (!state.summary) metrics.recordFailedRun();
+            state.isRunning = false;
+            state.paused = false;
+            state.errors.push({ message: error.message });
+        }
+        if (this.control === control) this.control = null;
+        runtimeConfig.release();
+
+        // Devices were already streamed batch by batch
+        const { devices, ...completed } = state;
+        this.emit('run-complete', completed);
+
+        return state;
+    }
+
+    /**
+     * Persist a checkpoint; a failed write only costs resumability
+     * @param {Object} checkpoint - Run checkpoint
+     */
+    async saveCheckpoint(checkpoint) {
+        try {
+            await checkpointStore.save(checkpoint);
+        } catch (error) {
+            console.error(`[Checkpoint] Failed to save run ${checkpoint.runId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Interrupted runs that can be resumed (excluding the one in progress)
+     * @returns {Promise<Object[]>} Checkpoint descriptions
+     */
+    async findIncompleteRuns() {
+        const checkpoints = await checkpointStore.list();
+        return checkpoints
+            .filter(checkpoint => !(this.state.isRunning && checkpoint.runId === this.state.runId))
+            .map(describeCheckpoint);
+    }
+
+    /**
+     * Clear the state of the last run
+     */
+    reset() {
+        if (this.state.isRunning) {
+            throw new Error('Cannot reset while aggregation is running');
+        }
+        this.state = createIdleState();
+    }
+}
+
+// Singleton instance shared by the entry points and the scheduler
+const runManager = new RunManager();
+
+module.exports = {
+    RunManager,
+    runManager,
+};
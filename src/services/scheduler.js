@@ -0,0 +1,180 @@
+/**
+ * Scheduler Service
+ *
+ * Starts aggregation runs automatically on a cron expression or a fixed
+ * interval. A tick is skipped when the previous run is still in progress.
+ */
+const config = require('../config');
+const { nextRun } = require('../lib/cron');
+const { runManager } = require('./runManager');
+
+// Shortest and longest interval accepted for fixed-interval schedules
+const MIN_INTERVAL_MS = 10000;
+const MAX_INTERVAL_MS = 31 * 24 * 60 * 60 * 1000;
+
+// Longest delay setTimeout supports; longer ones fire after ~1ms
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Validate and normalize a schedule definition. A cron expression must also
+ * match some time in the future.
+ * @param {Object} schedule - { enabled, cron } or { enabled, intervalMs }
+ * @returns {Object} Normalized schedule
+ */
+function normalizeSchedule(schedule) {
+    const enabled = schedule.enabled !== undefined ? Boolean(schedule.enabled) : true;
+    const cron = schedule.cron || null;
+    const intervalMs = schedule.intervalMs !== undefined && schedule.intervalMs !== null
+        ? Number(schedule.intervalMs)
+        : null;
+
+    if (cron && intervalMs !== null) {
+        throw new Error('Set either cron or intervalMs, not both');
+    }
+    if (cron) {
+        nextRun(cron);
+    }
+    if (intervalMs !== null && (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS || intervalMs > MAX_INTERVAL_MS)) {
+        throw new Error(`intervalMs must be an integer from ${MIN_INTERVAL_MS} to ${MAX_INTERVAL_MS}`);
+    }
+    if (enabled && !cron && intervalMs === null) {
+        throw new Error('An enabled schedule needs cron or intervalMs');
+    }
+
+    return { enabled, cron, intervalMs };
+}
+
+class Scheduler {
+    constructor(schedule = {}, manager = runManager) {
+        this.runManager = manager;
+        this.schedule = { enabled: false, cron: null, intervalMs: null };
+        this.timer = null;
+        this.nextRunAt = null;
+        this.lastTickAt = null;
+        this.lastRunStartedAt = null;
+        this.runsStarted = 0;
+        this.ticksSkipped = 0;
+
+        if (schedule.cron || schedule.intervalMs) {
+            this.schedule = normalizeSchedule(schedule);
+        }
+    }
+
+    /**
+     * Begin scheduling according to the current schedule
+     */
+    start() {
+        this.scheduleNext();
+    }
+
+    /**
+     * Cancel the pending tick
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+    }
+
+    /**
+     * Replace the schedule at runtime and reschedule. A body with only
+     * `enabled` keeps the current cron/interval. An invalid schedule throws
+     * and leaves the current one running.
+     * @param {Object} schedule - New schedule ({ enabled, cron } or { enabled, intervalMs })
+     * @returns {Object} Scheduler status
+     */
+    update(schedule) {
+        const replacesTiming = 'cron' in schedule || 'intervalMs' in schedule;
+        this.schedule = normalizeSchedule(replacesTiming ? schedule : { ...this.schedule, ...schedule });
+        this.scheduleNext();
+        console.log(`⏰ Schedule updated: ${this.describe()}`);
+        return this.getStatus();
+    }
+
+    /**
+     * Arm the timer for the next tick
+     */
+    scheduleNext() {
+        this.stop();
+        if (!this.schedule.enabled) return;
+
+        const now = Date.now();
+        this.nextRunAt = this.schedule.cron
+            ? nextRun(this.schedule.cron, now)
+            : now + this.schedule.intervalMs;
+        this.arm();
+    }
+
+    /**
+     * Set a timer toward nextRunAt. Ticks further away than setTimeout can
+     * wait (e.g. a monthly cron) take several timers.
+     */
+    arm() {
+        const delay = Math.min(Math.max(0, this.nextRunAt - Date.now()), MAX_TIMEOUT_MS);
+        this.timer = setTimeout(() => {
+            if (Date.now() >= this.nextRunAt) this.tick();
+            else this.arm();
+        }, delay);
+        // Do not keep the process alive just for the schedule
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Start a run unless one is already in progress, then re-arm
+     */
+    tick() {
+        this.lastTickAt = Date.now();
+
+        if (this.runManager.isRunning()) {
+            this.ticksSkipped++;
+            console.log('⏰ Scheduled run skipped: previous run still in progress');
+        } else {
+            this.runsStarted++;
+            this.lastRunStartedAt = this.lastTickAt;
+            console.log('⏰ Starting scheduled run');
+            this.runManager.start({ trigger: 'schedule' });
+        }
+
+        this.scheduleNext();
+    }
+
+    /**
+     * Human-readable description of the schedule
+     * @returns {string}
+     */
+    describe() {
+        if (!this.schedule.enabled) return 'disabled';
+        return this.schedule.cron
+            ? `cron "${this.schedule.cron}"`
+            : `every ${this.schedule.intervalMs}ms`;
+    }
+
+    /**
+     * Current schedule and counters (served by /api/schedule)
+     * @returns {Object} Scheduler status
+     */
+    getStatus() {
+        const toIso = ts => (ts ? new Date(ts).toISOString() : null);
+        return {
+            ...this.schedule,
+            nextRunAt: toIso(this.nextRunAt),
+            lastTickAt: toIso(this.lastTickAt),
+            lastRunStartedAt: toIso(this.lastRunStartedAt),
+            runsStarted: this.runsStarted,
+            ticksSkipped: this.ticksSkipped,
+        };
+    }
+}
+
+// Singleton instance configured from SCHEDULE_CRON / SCHEDULE_INTERVAL_MS
+const scheduler = new Scheduler({
+    cron: config.SCHEDULE_CRON,
+    intervalMs: config.SCHEDULE_INTERVAL_MS,
+});
+
+module.exports = {
+    Scheduler,
+    scheduler,
+    normalizeSchedule,
+    MAX_TIMEOUT_MS,
+};
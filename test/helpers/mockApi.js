@@ -0,0 +1,114 @@
+/**
+ * Scenario harness for integration tests
+ *
+ * Starts the mock API in-process on an ephemeral port and points the client
+ * at it, and drives a fake clock so a run of 50 rate-limited batches takes
+ * well under a second.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { mock } = require('node:test');
+
+// Keep checkpoints and run data out of the project's data directory
+if (!process.env.DATA_DIR) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'energygrid-test-'));
+    process.env.DATA_DIR = dataDir;
+    process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+}
+
+const config = require('../../src/config');
+const { createMockApi } = require('../../server/server');
+const { DeviceSimulator } = require('../../server/deviceSimulator');
+
+// Fake time only moves forward, even across tests, so state kept by the
+// shared rate limiter never lies in the future
+let fakeNow = Date.parse('2025-06-01T12:00:00Z');
+
+/**
+ * Replace setTimeout and Date with a fake clock starting at noon UTC
+ */
+function useFakeClock() {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: fakeNow });
+}
+
+/**
+ * Go back to the real clock
+ */
+function restoreClock() {
+    fakeNow = Date.now() + 60 * 1000;
+    mock.timers.reset();
+}
+
+/**
+ * Start the mock API and point the client at it
+ * @param {Object} options
+ * @param {Object} options.simulator - DeviceSimulator options (seed, scenario)
+ * @param {Object} options.faults - Fault overrides for the simulator
+ * @param {string} options.scheme - Signature scheme the mock verifies
+ * @returns {Promise<Object>} { simulator, stats, baseUrl, close }
+ */
+async function startMockApi({ simulator: simulatorOptions = { seed: 'test' }, faults, scheme = 'md5' } = {}) {
+    const simulator = new DeviceSimulator(simulatorOptions);
+    if (faults) simulator.configure({ faults });
+
+    const { app, stats } = createMockApi({
+        getTokens: () => [config.SECRET_TOKEN],
+        scheme,
+        simulator,
+    });
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    const previousBaseUrl = config.API_BASE_URL;
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    config.API_BASE_URL = baseUrl;
+
+    return {
+        simulator,
+        stats,
+        baseUrl,
+        /**
+         * Count responses with a status
+         * @param {number} status - HTTP status
+         */
+        count(status) {
+            return stats.requests.filter(request => request.status === status).length;
+        },
+        async close() {
+            config.API_BASE_URL = previousBaseUrl;
+            server.close();
+            await once(server, 'close');
+        },
+    };
+}
+
+/**
+ * Wait for a promise while advancing the fake clock in small steps. Real
+ * I/O (the HTTP round trips) gets a turn of the event loop between steps.
+ * @param {Promise} promise - Work running against the fake clock
+ * @param {number} stepMs - Fake time per step
+ * @returns {Promise<*>} What the promise resolves with
+ */
+async function runWithClock(promise, stepMs = 10) {
+    let settled = false;
+    const tracked = promise.finally(() => {
+        settled = true;
+    });
+    // Rejections reach the caller through the return value
+    tracked.catch(() => {});
+
+    while (!settled) {
+        await new Promise(resolve => setImmediate(resolve));
+        mock.timers.tick(stepMs);
+    }
+    return tracked;
+}
+
+module.exports = {
+    useFakeClock,
+    restoreClock,
+    startMockApi,
+    runWithClock,
+};
@@ -0,0 +1,268 @@
+/**
+ * Integration tests: aggregateDeviceData against the in-process mock API
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { useFakeClock, restoreClock, startMockApi, runWithClock } = require('../helpers/mockApi');
+const config = require('../../src/config');
+const { aggregateDeviceData } = require('../../src/services/aggregator');
+const { fetchDeviceData } = require('../../src/lib/apiClient');
+const { generateSerialNumbers } = require('../../src/lib/batchProcessor');
+const { upstreamPool, UpstreamLane } = require('../../src/lib/upstreamPool');
+const { RateLimiter } = require('../../src/lib/rateLimiter');
+const metrics = require('../../src/lib/metrics');
+const { normalizeReading } = require('../../src/lib/telemetryNormalizer');
+const { RunControl } = require('../../src/lib/runControl');
+
+describe('aggregateDeviceData', () => {
+    let api;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        useFakeClock();
+    });
+
+    afterEach(async () => {
+        if (api) await api.close();
+        api = null;
+        restoreClock();
+        mock.restoreAll();
+    });
+
+    it('fetches all 500 devices without a single 429', async () => {
+        api = await startMockApi();
+        const startedAt = Date.now();
+
+        const report = await runWithClock(aggregateDeviceData(null, { serialNumbers: generateSerialNumbers(500) }));
+
+        assert.equal(report.summary.totalBatches, 50);
+        assert.equal(report.summary.successfulFetches, 500);
+        assert.equal(report.summary.failedFetches, 0);
+        assert.equal(report.summary.errorsCount, 0);
+        assert.equal(api.stats.requests.length, 50);
+        assert.equal(api.count(429), 0);
+
+        // The mock allows one request per 950ms; the client keeps at least that gap
+        const times = api.stats.requests.map(request => request.at);
+        times.slice(1).forEach((at, i) => {
+            assert.ok(at - times[i] >= 950, `requests ${i + 1} and ${i + 2} were ${at - times[i]}ms apart`);
+        });
+        assert.ok(Date.now() - startedAt >= 49 * 1000, 'run finished faster than the rate limit allows');
+    });
+
+    it('signs requests so the mock accepts them (hmac-sha256-body)', async () => {
+        const previousScheme = config.SIGNATURE_SCHEME;
+        config.SIGNATURE_SCHEME = 'hmac-sha256-body';
+        try {
+            api = await startMockApi({ scheme: 'hmac-sha256-body' });
+            const report = await runWithClock(aggregateDeviceData(null, { serialNumbers: generateSerialNumbers(30) }));
+
+            assert.equal(report.summary.successfulFetches, 30);
+            assert.equal(api.count(401), 0);
+        } finally {
+            config.SIGNATURE_SCHEME = previousScheme;
+        }
+    });
+
+    it('reports exactly what the simulator returned', async () => {
+        const time = '2025-06-01T12:00:00.000Z';
+        api = await startMockApi({ simulator: { seed: 'accuracy' } });
+        api.simulator.configure({ time });
+        const serialNumbers = generateSerialNumbers(40);
+
+        const report = await runWithClock(aggregateDeviceData(null, { serialNumbers }));
+
+        const expected = serialNumbers.map(sn => normalizeReading(api.simulator.reading(sn, Date.parse(time))));
+        const online = expected.filter(reading => reading.status === 'Online').length;
+        assert.equal(report.summary.onlineDevices, online);
+        assert.equal(report.summary.offlineDevices, expected.length - online);
+
+        const bySn = new Map(report.devices.map(device => [device.sn, device]));
+        expected.forEach(reading => {
+            const device = bySn.get(reading.sn);
+            assert.ok(device, `${reading.sn} missing from the report`);
+            assert.equal(device.status, reading.status);
+            assert.equal(device.powerW, reading.powerW);
+            assert.equal(device.last_updated, time);
+        });
+    });
+
+    it('recovers batches lost to a burst of 5xx responses', async () => {
+        api = await startMockApi({ simulator: { seed: 'bursts' }, faults: { errorRate: 0.3 } });
+
+        const report = await runWithClock(aggregateDeviceData(null, { serialNumbers: generateSerialNumbers(100) }));
+
+        assert.ok(api.count(503) > 0, 'scenario produced no 5xx responses');
+        assert.ok(report.summary.errorsCount > 0);
+        assert.ok(report.recovery.recovered.length > 0);
+        assert.equal(report.summary.successfulFetches, 100);
+        assert.equal(api.count(429), 0);
+    });
+
+    it('quarantines malformed records instead of counting them', async () => {
+        api = await startMockApi({ simulator: { seed: 'malformed' }, faults: { malformedRate: 0.3 } });
+
+        const report = await runWithClock(aggregateDeviceData(null, { serialNumbers: generateSerialNumbers(50) }));
+        const { onlineDevices, offlineDevices, quarantinedRecords } = report.summary;
+
+        assert.ok(quarantinedRecords > 0, 'scenario produced no malformed records');
+        assert.equal(onlineDevices + offlineDevices + quarantinedRecords, 50);
+        report.quarantine.forEach(entry => {
+            assert.ok(entry.reason);
+            assert.ok(entry.batch >= 1 && entry.batch <= 5);
+        });
+    });
+
+    it('records upstream request durations in seconds', async () => {
+        api = await startMockApi({ faults: { slowRate: 1, slowMs: 2000 } });
+        const histogram = metrics.register.getSingleMetric('energygrid_upstream_request_duration_seconds');
+        const series = async name => {
+            const { values } = await histogram.get();
+            return values.filter(value => value.metricName === name).reduce((total, value) => total + value.value, 0);
+        };
+        const countBefore = await series('energygrid_upstream_request_duration_seconds_count');
+        const sumBefore = await series('energygrid_upstream_request_duration_seconds_sum');
+
+        await runWithClock(aggregateDeviceData(null, { serialNumbers: generateSerialNumbers(30) }));
+
+        const count = await series('energygrid_upstream_request_duration_seconds_count') - countBefore;
+        const average = (await series('energygrid_upstream_request_duration_seconds_sum') - sumBefore) / count;
+        assert.equal(count, api.stats.requests.length);
+        assert.ok(average >= 2 && average < 3, `average ${average}s for a 2000ms delay`);
+    });
+
+    it('stops taking batches when cancelled and reports what it has', async () => {
+        api = await startMockApi();
+        const control = new RunControl();
+        const onProgress = async ({ batchesDone }) => {
+            if (batchesDone === 3) control.cancel('test');
+        };
+
+        const report = await runWithClock(aggregateDeviceData(onProgress, {
+            serialNumbers: generateSerialNumbers(100),
+            control,
+        }));
+
+        assert.equal(report.summary.cancelled, true);
+        assert.equal(report.summary.successfulFetches, 30);
+        assert.equal(report.summary.skippedBatches, 7);
+        assert.equal(report.summary.errorsCount, 0);
+        assert.equal(report.recovery, undefined);
+        assert.equal(api.stats.requests.length, 3);
+    });
+
+    it('stops the recovery pass when cancelled', async () => {
+        api = await startMockApi({ faults: { errorRate: 1 } });
+        const control = new RunControl();
+        let requestsBeforeRecovery = null;
+        console.log.mock.mockImplementation(message => {
+            if (String(message).includes('Recovery pass')) requestsBeforeRecovery = api.stats.requests.length;
+            if (String(message).startsWith('[Recovery 2]')) control.cancel('test');
+        });
+
+        const report = await runWithClock(aggregateDeviceData(null, {
+            serialNumbers: generateSerialNumbers(30),
+            control,
+        }));
+
+        assert.equal(report.summary.cancelled, true);
+        assert.equal(report.recovery.cancelled, true);
+        assert.equal(report.recovery.requests, 2);
+        assert.equal(report.recovery.failed.length, 30);
+        // The request in flight still goes out; nothing is sent after it
+        assert.equal(api.stats.requests.length - requestsBeforeRecovery, 2);
+    });
+
+    it('holds new batches while paused', async () => {
+        api = await startMockApi();
+        const control = new RunControl();
+        const onProgress = async ({ batchesDone }) => {
+            if (batchesDone === 2) {
+                control.pause();
+                setTimeout(() => control.resume(), 10000);
+            }
+        };
+
+        const report = await runWithClock(aggregateDeviceData(onProgress, {
+            serialNumbers: generateSerialNumbers(50),
+            control,
+        }));
+
+        assert.equal(report.summary.successfulFetches, 50);
+        assert.equal(report.summary.cancelled, false);
+        assert.ok(report.summary.pausedSeconds >= 10);
+        const [, second, third] = api.stats.requests;
+        assert.ok(third.at - second.at >= 10000, `resumed after ${third.at - second.at}ms`);
+    });
+});
+
+describe('fetchDeviceData retries', () => {
+    let api;
+    const lane = upstreamPool.lanes[0];
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        useFakeClock();
+    });
+
+    afterEach(async () => {
+        if (api) await api.close();
+        api = null;
+        restoreClock();
+        mock.restoreAll();
+    });
+
+    it('backs off after a 429 and then succeeds', async () => {
+        api = await startMockApi();
+
+        // Two requests at once, bypassing the rate limiter: the second is throttled
+        const results = await runWithClock(Promise.all([
+            fetchDeviceData(['SN-000'], lane),
+            fetchDeviceData(['SN-001'], lane),
+        ]));
+
+        assert.deepEqual(results.map(result => result.data[0].sn), ['SN-000', 'SN-001']);
+        assert.deepEqual(api.stats.requests.map(request => request.status).sort(), [200, 200, 429]);
+
+        const throttled = api.stats.requests.find(request => request.status === 429);
+        const retried = api.stats.requests[api.stats.requests.length - 1];
+        assert.equal(retried.status, 200);
+        assert.ok(retried.at - throttled.at >= config.INITIAL_RETRY_DELAY_MS,
+            `retried after ${retried.at - throttled.at}ms`);
+    });
+
+    it('retries a 401 once after reloading the token, then fails', async () => {
+        api = await startMockApi({ faults: { unauthorizedRate: 1 } });
+
+        await assert.rejects(runWithClock(fetchDeviceData(['SN-000'], lane)), /Authentication failed/);
+
+        assert.equal(api.stats.requests.length, 2);
+        assert.equal(api.count(401), 2);
+        const [first, second] = api.stats.requests;
+        assert.ok(second.at - first.at >= lane.limiter.intervalMs);
+    });
+
+    it('retries network errors with backoff and counts them', async () => {
+        // A port nothing listens on
+        const server = http.createServer().listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        const { port } = server.address();
+        server.close();
+        await once(server, 'close');
+
+        const closed = new UpstreamLane({ name: 'closed-port', baseUrl: `http://127.0.0.1:${port}`, limiter: new RateLimiter() });
+        const startedAt = Date.now();
+
+        await assert.rejects(runWithClock(fetchDeviceData(['SN-000'], closed), 100), /ECONNREFUSED/);
+
+        const { values } = await metrics.upstreamRequestsTotal.get();
+        const networkErrors = values.find(value => value.labels.lane === 'closed-port' && value.labels.status === 'network_error');
+        assert.equal(networkErrors.value, config.MAX_RETRIES + 1);
+        // 1.5s + 3s + 6s of backoff between the attempts
+        assert.ok(Date.now() - startedAt >= config.INITIAL_RETRY_DELAY_MS * (2 ** config.MAX_RETRIES - 1));
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Integration tests: RunManager runs against the in-process mock API
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeClock, restoreClock, startMockApi, runWithClock } = require('../helpers/mockApi');
+const metrics = require('../../src/lib/metrics');
+const { RunManager } = require('../../src/services/runManager');
+const { alertManager } = require('../../src/services/alertManager');
+const { generateSerialNumbers } = require('../../src/lib/batchProcessor');
+const { runStore } = require('../../src/lib/runStore');
+
+/**
+ * Value of a metric series, 0 when it has not been set
+ */
+async function metricValue(name, labels = {}) {
+    const { values } = await metrics.register.getSingleMetric(name).get();
+    const series = values.find(value => Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+    return series ? series.value : 0;
+}
+
+describe('RunManager', () => {
+    let api;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        useFakeClock();
+    });
+
+    afterEach(async () => {
+        if (api) await api.close();
+        api = null;
+        restoreClock();
+        mock.restoreAll();
+    });
+
+    it('leaves alerts and fleet gauges alone when a run is cancelled', async () => {
+        api = await startMockApi();
+        const evaluate = mock.method(alertManager, 'evaluate', async () => []);
+        metrics.register.getSingleMetric('energygrid_fleet_devices').set({ status: 'online' }, 123);
+        const cancelledBefore = await metricValue('energygrid_runs_total', { outcome: 'cancelled' });
+        const completedBefore = await metricValue('energygrid_runs_total', { outcome: 'completed' });
+
+        const manager = new RunManager();
+        manager.on('progress', ({ batchesDone }) => {
+            if (batchesDone === 2) manager.cancel('test');
+        });
+        const state = await runWithClock(manager.start({ serialNumbers: generateSerialNumbers(50) }));
+
+        assert.equal(state.summary.cancelled, true);
+        assert.equal(state.summary.successfulFetches, 20);
+        assert.equal(evaluate.mock.callCount(), 0);
+        assert.equal(await metricValue('energygrid_runs_total', { outcome: 'cancelled' }), cancelledBefore + 1);
+        assert.equal(await metricValue('energygrid_runs_total', { outcome: 'completed' }), completedBefore);
+        assert.equal(await metricValue('energygrid_fleet_devices', { status: 'online' }), 123);
+    });
+
+    it('reports each device once when resuming a checkpoint that saw batches twice', async () => {
+        api = await startMockApi();
+        mock.method(alertManager, 'evaluate', async () => []);
+        const serialNumbers = generateSerialNumbers(30);
+        const reading = (sn, powerW) => ({ sn, status: 'Online', powerW, last_updated: new Date().toISOString() });
+
+        // Killed after batch 3 finished but before the checkpoint marked it
+        // complete; batch 1 was stored twice by an earlier resume
+        const checkpoint = {
+            runId: 'resumed-run',
+            trigger: 'manual',
+            startedAt: new Date().toISOString(),
+            serialNumbers,
+            batchSize: 10,
+            selection: null,
+            completedBatches: [0, 1],
+            devices: [
+                ...serialNumbers.slice(0, 10).map(sn => reading(sn, 1)),
+                ...serialNumbers.slice(0, 20).map(sn => reading(sn, 2)),
+                ...serialNumbers.slice(20).map(sn => reading(sn, 3)),
+            ],
+        };
+
+        const manager = new RunManager();
+        const state = await runWithClock(manager.resume(checkpoint));
+
+        assert.equal(state.summary.successfulFetches, 30);
+        assert.equal(state.summary.onlineDevices + state.summary.offlineDevices, 30);
+        assert.equal(new Set(state.devices.map(device => device.sn)).size, state.devices.length);
+        assert.equal(state.devices.length, 30);
+        assert.equal(api.stats.requests.length, 1);
+        const stored = await runStore.getDevices('resumed-run');
+        assert.deepEqual(stored.map(device => device.sn).sort(), serialNumbers);
+    });
+
+    it('evaluates alerts and updates gauges for a completed sweep', async () => {
+        api = await startMockApi();
+        const evaluate = mock.method(alertManager, 'evaluate', async () => []);
+        const completedBefore = await metricValue('energygrid_runs_total', { outcome: 'completed' });
+
+        const manager = new RunManager();
+        const state = await runWithClock(manager.start({ serialNumbers: generateSerialNumbers(20) }));
+
+        assert.equal(state.summary.cancelled, false);
+        assert.equal(evaluate.mock.callCount(), 1);
+        assert.equal(await metricValue('energygrid_runs_total', { outcome: 'completed' }), completedBefore + 1);
+        assert.equal(
+            await metricValue('energygrid_fleet_devices', { status: 'online' }),
+            state.summary.onlineDevices,
+        );
+    });
+});
@@ -0,0 +1,227 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { WebhookNotifier, LogFileNotifier } = require('../../src/lib/notifiers');
+const { AlertManager, ALERT_STATES } = require('../../src/services/alertManager');
+const { validateRule } = require('../../src/lib/alertRules');
+const { normalizeReading } = require('../../src/lib/telemetryNormalizer');
+const { generateSerialNumbers } = require('../../src/lib/batchProcessor');
+const { DeviceSimulator } = require('../../server/deviceSimulator');
+
+/**
+ * Local webhook endpoint that records every request and answers with
+ * the status in `server.nextStatus` (default 200)
+ */
+async function startWebhook() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(server.nextStatus || 200);
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return { server, received, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+/**
+ * Report with the given statuses ({ sn: 'Online'|'Offline' }), 1 kW each when Online
+ */
+function report(statuses) {
+    return {
+        devices: Object.entries(statuses).map(([sn, status]) => ({
+            sn,
+            status,
+            powerW: status === 'Online' ? 1000 : 0,
+        })),
+    };
+}
+
+/**
+ * Events of a JSONL log file
+ */
+function readEvents(filePath) {
+    return fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('alert notifiers', () => {
+    let dir;
+    let webhook;
+    const event = { type: 'opened', alert: { id: 'a1', key: 'rule:SN-001' }, timestamp: '2025-06-01T12:00:00.000Z' };
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energygrid-notifiers-'));
+        webhook = await startWebhook();
+    });
+
+    after(async () => {
+        webhook.server.close();
+        await once(webhook.server, 'close');
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('POSTs events as JSON to the webhook', async () => {
+        await new WebhookNotifier(webhook.url, { headers: { 'X-Token': 'abc' } }).notify(event);
+
+        const [request] = webhook.received;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.headers['content-type'], 'application/json');
+        assert.equal(request.headers['x-token'], 'abc');
+        assert.deepEqual(request.body, event);
+    });
+
+    it('fails when the webhook answers with an error status', async () => {
+        webhook.server.nextStatus = 503;
+        await assert.rejects(new WebhookNotifier(webhook.url).notify(event), /Webhook responded with 503/);
+        webhook.server.nextStatus = 200;
+    });
+
+    it('appends one JSON line per event to the log file', async () => {
+        const filePath = path.join(dir, 'nested', 'alerts.log');
+        const notifier = new LogFileNotifier(filePath);
+        await notifier.notify(event);
+        await notifier.notify({ ...event, type: 'resolved' });
+
+        assert.deepEqual(readEvents(filePath).map(entry => entry.type), ['opened', 'resolved']);
+    });
+});
+
+describe('AlertManager', () => {
+    let dir;
+    let webhook;
+    let logFile;
+    let manager;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energygrid-alerts-'));
+        webhook = await startWebhook();
+    });
+
+    after(async () => {
+        webhook.server.close();
+        await once(webhook.server, 'close');
+        fs.rmSync(dir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        webhook.received.length = 0;
+        logFile = path.join(dir, `alerts-${Date.now()}-${Math.random()}.log`);
+        manager = new AlertManager({
+            rules: [{ id: 'offline-2', type: 'device_offline_streak', consecutiveRuns: 2 }],
+            notifiers: [new WebhookNotifier(webhook.url), new LogFileNotifier(logFile)],
+            filePath: path.join(dir, `store-${Date.now()}-${Math.random()}.json`),
+            registry: { get: () => null },
+        });
+    });
+
+    it('opens an alert once the offline streak is reached and resolves it when the device recovers', async () => {
+        let result = await manager.evaluate(report({ 'SN-001': 'Offline', 'SN-002': 'Online' }), 'run-1');
+        assert.deepEqual(result, { opened: [], resolved: [] });
+
+        result = await manager.evaluate(report({ 'SN-001': 'Offline', 'SN-002': 'Online' }), 'run-2');
+        assert.equal(result.opened.length, 1);
+        const [alert] = result.opened;
+        assert.equal(alert.key, 'offline-2:SN-001');
+        assert.equal(alert.state, ALERT_STATES.OPEN);
+        assert.equal(alert.runId, 'run-2');
+
+        // Still firing: the same alert is updated, not reopened
+        result = await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-3');
+        assert.equal(result.opened.length, 0);
+        assert.equal((await manager.get(alert.id)).value, 3);
+        assert.equal((await manager.get(alert.id)).lastRunId, 'run-3');
+
+        result = await manager.evaluate(report({ 'SN-001': 'Online' }), 'run-4');
+        assert.deepEqual(result.resolved.map(resolved => resolved.id), [alert.id]);
+        assert.equal((await manager.get(alert.id)).state, ALERT_STATES.RESOLVED);
+
+        assert.deepEqual(webhook.received.map(request => request.body.type), ['opened', 'resolved']);
+        assert.deepEqual(readEvents(logFile).map(event => [event.type, event.alert.id]), [
+            ['opened', alert.id],
+            ['resolved', alert.id],
+        ]);
+    });
+
+    it('keeps the streak of devices missing from a report', async () => {
+        await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-1');
+        await manager.evaluate(report({ 'SN-002': 'Online' }), 'run-2');
+        const { opened } = await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-3');
+        assert.deepEqual(opened.map(alert => alert.subject), ['SN-001']);
+    });
+
+    it('acknowledges open alerts only, and keeps them active', async () => {
+        await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-1');
+        const { opened: [alert] } = await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-2');
+
+        const acknowledged = await manager.acknowledge(alert.id, 'ana');
+        assert.equal(acknowledged.state, ALERT_STATES.ACKNOWLEDGED);
+        assert.equal(acknowledged.acknowledgedBy, 'ana');
+        await assert.rejects(manager.acknowledge(alert.id), /is acknowledged/);
+        await assert.rejects(manager.acknowledge('missing'), /not found/);
+
+        // Acknowledged alerts are not reopened while the condition holds
+        const { opened } = await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-3');
+        assert.equal(opened.length, 0);
+        assert.deepEqual(webhook.received.map(request => request.body.type), ['opened', 'acknowledged']);
+    });
+
+    it('persists alerts and streaks across instances', async () => {
+        await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-1');
+
+        const reloaded = new AlertManager({
+            rules: manager.rules,
+            filePath: manager.filePath,
+            registry: { get: () => null },
+        });
+        const { opened } = await reloaded.evaluate(report({ 'SN-001': 'Offline' }), 'run-2');
+        assert.deepEqual(opened.map(alert => alert.subject), ['SN-001']);
+    });
+
+    it('keeps notifying the other channels when one fails', async () => {
+        webhook.server.nextStatus = 500;
+        try {
+            await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-1');
+            await manager.evaluate(report({ 'SN-001': 'Offline' }), 'run-2');
+        } finally {
+            webhook.server.nextStatus = 200;
+        }
+        assert.equal(webhook.received.length, 1);
+        assert.deepEqual(readEvents(logFile).map(event => event.type), ['opened']);
+        assert.match(console.error.mock.calls.at(-1).arguments[0], /webhook notifier failed: Webhook responded with 500/);
+    });
+
+    it('raises nothing for a simulated fleet at night with the default rules', async () => {
+        const simulator = new DeviceSimulator({ seed: 'night' });
+        const night = Date.parse('2025-06-01T02:00:00.000Z');
+        const devices = generateSerialNumbers(50).map(sn => normalizeReading(simulator.reading(sn, night)));
+        assert.ok(devices.some(device => device.status === 'Online' && device.powerW === 0));
+
+        const defaults = new AlertManager({
+            filePath: path.join(dir, `night-${Date.now()}.json`),
+            registry: { get: () => null },
+        });
+        assert.deepEqual(await defaults.evaluate({ devices }, 'run-1'), { opened: [], resolved: [] });
+
+        const daylight = new AlertManager({
+            rules: [{ id: 'zero-kw', type: 'zero_power_online', hoursUtc: [8, 16] }],
+            filePath: path.join(dir, `daylight-${Date.now()}.json`),
+            registry: { get: () => null },
+        });
+        assert.deepEqual((await daylight.evaluate({ devices }, 'run-1')).opened, []);
+        const noon = devices.map(device => ({ ...device, powerW: 0, last_updated: '2025-06-01T12:00:00.000Z' }));
+        assert.ok((await daylight.evaluate({ devices: noon }, 'run-2')).opened.length > 0);
+
+        assert.throws(() => validateRule({ id: 'z', type: 'zero_power_online', hoursUtc: [18, 6] }), /hoursUtc/);
+    });
+});
@@ -0,0 +1,252 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    Authenticator,
+    SESSION_COOKIE,
+    createAccessControl,
+    hashSecret,
+    verifySecret,
+    parseApiKey,
+    requiredRole,
+} = require('../../src/lib/auth');
+
+/**
+ * Minimal Express request
+ */
+function request(method, url, headers = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+    return {
+        method,
+        originalUrl: url,
+        headers: lower,
+        ip: '127.0.0.1',
+        get: name => lower[name.toLowerCase()],
+    };
+}
+
+/**
+ * Run the middleware; resolves with { next } or { status, body }
+ */
+function run(middleware, req) {
+    return new Promise(resolve => {
+        const res = {
+            headers: {},
+            status(code) {
+                this.code = code;
+                return this;
+            },
+            set(name, value) {
+                this.headers[name] = value;
+                return this;
+            },
+            json(body) {
+                resolve({ status: this.code, body, headers: this.headers });
+            },
+        };
+        middleware(req, res, () => resolve({ next: true }));
+    });
+}
+
+describe('secret hashing', () => {
+    it('verifies the original secret only', async () => {
+        const hash = hashSecret('correct horse');
+        assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+        assert.equal(await verifySecret('correct horse', hash), true);
+        assert.equal(await verifySecret('wrong horse', hash), false);
+        assert.equal(await verifySecret('correct horse', 'plain-text'), false);
+    });
+
+    it('splits API keys into name and secret', () => {
+        assert.deepEqual(parseApiKey('grafana.abc'), { name: 'grafana', secret: 'abc' });
+        assert.deepEqual(parseApiKey('team.grafana.abc'), { name: 'team.grafana', secret: 'abc' });
+        assert.equal(parseApiKey('abc'), null);
+        assert.equal(parseApiKey('.abc'), null);
+        assert.equal(parseApiKey('grafana.'), null);
+    });
+});
+
+describe('requiredRole', () => {
+    it('maps routes to roles', () => {
+        assert.equal(requiredRole('GET', '/api/health'), null);
+        assert.equal(requiredRole('POST', '/api/auth/login'), null);
+        assert.equal(requiredRole('GET', '/api/status'), 'viewer');
+        assert.equal(requiredRole('GET', '/api/runs/abc/export'), 'viewer');
+        assert.equal(requiredRole('POST', '/api/aggregate'), 'operator');
+        assert.equal(requiredRole('POST', '/api/aggregate/cancel'), 'operator');
+        assert.equal(requiredRole('POST', '/api/runs/abc/resume'), 'operator');
+        assert.equal(requiredRole('POST', '/api/reset'), 'admin');
+        assert.equal(requiredRole('PUT', '/api/schedule'), 'admin');
+        assert.equal(requiredRole('DELETE', '/api/devices/SN-001'), 'admin');
+        assert.equal(requiredRole('GET', '/api/audit'), 'admin');
+        assert.equal(requiredRole('GET', '/metrics'), 'viewer');
+    });
+
+    it('ignores case and trailing slashes, as Express routing does', () => {
+        assert.equal(requiredRole('GET', '/api/AUDIT'), 'admin');
+        assert.equal(requiredRole('GET', '/api/Audit/'), 'admin');
+        assert.equal(requiredRole('GET', '/api//audit'), 'admin');
+        assert.equal(requiredRole('POST', '/api/Aggregate/Cancel/'), 'operator');
+        assert.equal(requiredRole('POST', '/api/runs/ABC/RESUME'), 'operator');
+        assert.equal(requiredRole('GET', '/api/Health/'), null);
+        assert.equal(requiredRole('GET', '/METRICS/'), 'viewer');
+    });
+});
+
+describe('access control', () => {
+    let dir;
+    let authenticator;
+    let middleware;
+    const audited = [];
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energygrid-auth-'));
+        const filePath = path.join(dir, 'users.json');
+        fs.writeFileSync(filePath, JSON.stringify({
+            users: [
+                { username: 'vera', password: hashSecret('viewer-pass'), role: 'viewer' },
+                { username: 'otto', password: hashSecret('operator-pass'), role: 'operator' },
+            ],
+            apiKeys: [{ name: 'ops-script', key: hashSecret('key-123'), role: 'admin' }],
+        }));
+        authenticator = new Authenticator({ filePath, sessionTtlMs: 60000 }).load();
+        middleware = createAccessControl({
+            authenticator,
+            audit: { record: async entry => audited.push(entry) },
+        });
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('rejects wrong passwords and unknown users', async () => {
+        assert.equal(await authenticator.login('vera', 'nope'), null);
+        assert.equal(await authenticator.login('nobody', 'viewer-pass'), null);
+    });
+
+    it('lets public routes through without credentials', async () => {
+        assert.deepEqual(await run(middleware, request('GET', '/api/health')), { next: true });
+    });
+
+    it('answers 401 without credentials and audits it', async () => {
+        const result = await run(middleware, request('GET', '/api/status'));
+        assert.equal(result.status, 401);
+        const entry = audited[audited.length - 1];
+        assert.equal(entry.event, 'denied');
+        assert.equal(entry.path, '/api/status');
+        assert.equal(entry.user, null);
+    });
+
+    it('lets a viewer read but not start runs', async () => {
+        const { token } = await authenticator.login('vera', 'viewer-pass');
+        const cookie = { Cookie: `other=1; ${SESSION_COOKIE}=${token}` };
+
+        assert.deepEqual(await run(middleware, request('GET', '/api/runs?limit=5', cookie)), { next: true });
+        const denied = await run(middleware, request('POST', '/api/aggregate', cookie));
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.error, 'operator role required');
+        assert.deepEqual(
+            [audited[audited.length - 1].user, audited[audited.length - 1].required],
+            ['vera', 'operator'],
+        );
+    });
+
+    it('keeps /metrics behind sign-in', async () => {
+        assert.equal((await run(middleware, request('GET', '/metrics'))).status, 401);
+
+        const { token } = await authenticator.login('vera', 'viewer-pass');
+        const cookie = { Cookie: `${SESSION_COOKIE}=${token}` };
+        assert.deepEqual(await run(middleware, request('GET', '/metrics', cookie)), { next: true });
+    });
+
+    it('lets an operator run aggregations but not reset', async () => {
+        const { token } = await authenticator.login('otto', 'operator-pass');
+        const cookie = { Cookie: `${SESSION_COOKIE}=${token}` };
+
+        assert.deepEqual(await run(middleware, request('POST', '/api/aggregate/pause', cookie)), { next: true });
+        assert.equal((await run(middleware, request('POST', '/api/reset', cookie))).status, 403);
+    });
+
+    it('denies a viewer the audit log under any spelling of its path', async () => {
+        const { token } = await authenticator.login('vera', 'viewer-pass');
+        const cookie = { Cookie: `${SESSION_COOKIE}=${token}` };
+
+        for (const url of ['/api/audit', '/api/AUDIT', '/api/Audit/', '/api/audit/?limit=5']) {
+            assert.equal((await run(middleware, request('GET', url, cookie))).status, 403, url);
+        }
+    });
+
+    it('accepts API keys in X-API-Key or as a Bearer token', async () => {
+        assert.deepEqual(await run(middleware, request('POST', '/api/reset', { 'X-API-Key': 'ops-script.key-123' })), { next: true });
+        assert.deepEqual(await run(middleware, request('PUT', '/api/schedule', { Authorization: 'Bearer ops-script.key-123' })), { next: true });
+        assert.equal((await run(middleware, request('POST', '/api/reset', { 'X-API-Key': 'ops-script.key-999' }))).status, 401);
+        assert.equal((await run(middleware, request('POST', '/api/reset', { 'X-API-Key': 'key-123' }))).status, 401);
+        authenticator.loginFailures.clear();
+    });
+
+    it('hashes at most one key per request and throttles unknown keys', async () => {
+        const throttled = new Authenticator({ filePath: authenticator.filePath, maxLoginFailures: 3, loginWindowMs: 60000 }).load();
+        const guarded = createAccessControl({ authenticator: throttled, audit: { record: async () => {} } });
+        const scrypt = mock.method(crypto, 'scrypt');
+
+        // Unknown names cost no scrypt at all, known ones exactly one
+        assert.equal((await run(guarded, request('GET', '/api/status', { 'X-API-Key': 'nobody.key-123' }))).status, 401);
+        assert.equal(scrypt.mock.callCount(), 0);
+        assert.equal((await run(guarded, request('GET', '/api/status', { 'X-API-Key': 'ops-script.wrong' }))).status, 401);
+        assert.equal(scrypt.mock.callCount(), 1);
+        assert.equal((await run(guarded, request('GET', '/api/status', { 'X-API-Key': 'ops-script.again' }))).status, 429);
+
+        // Blocked: even the right key is not checked until the window passes
+        const blocked = await run(guarded, request('GET', '/api/status', { 'X-API-Key': 'ops-script.key-123' }));
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.headers['Retry-After'], '60');
+        assert.equal(scrypt.mock.callCount(), 2);
+        scrypt.mock.restore();
+    });
+
+    it('ends sessions on logout and expiry', async () => {
+        const session = await authenticator.login('vera', 'viewer-pass');
+        const cookie = { Cookie: `${SESSION_COOKIE}=${session.token}` };
+        authenticator.logout(session.token);
+        assert.equal((await run(middleware, request('GET', '/api/status', cookie))).status, 401);
+
+        const expired = await authenticator.login('vera', 'viewer-pass');
+        authenticator.sessions.get(expired.token).expiresAt = Date.now() - 1;
+        assert.equal(await authenticator.authenticate(request('GET', '/api/status', { Cookie: `${SESSION_COOKIE}=${expired.token}` })), null);
+    });
+
+    it('prunes expired sessions on login', async () => {
+        const stale = await authenticator.login('vera', 'viewer-pass');
+        authenticator.sessions.get(stale.token).expiresAt = Date.now() - 1;
+        await authenticator.login('otto', 'operator-pass');
+        assert.equal(authenticator.sessions.has(stale.token), false);
+    });
+
+    it('makes a client wait after repeated failed logins', () => {
+        const throttled = new Authenticator({ maxLoginFailures: 3, loginWindowMs: 60000 });
+        const now = 1000000;
+        for (let i = 0; i < 3; i++) {
+            assert.equal(throttled.loginRetryAfter('10.0.0.1', now), 0);
+            throttled.recordLoginAttempt('10.0.0.1', false, now);
+        }
+        assert.equal(throttled.loginRetryAfter('10.0.0.1', now + 1000), 59000);
+        assert.equal(throttled.loginRetryAfter('10.0.0.2', now + 1000), 0);
+        assert.equal(throttled.loginRetryAfter('10.0.0.1', now + 60000), 0);
+
+        throttled.recordLoginAttempt('10.0.0.3', false, now);
+        throttled.recordLoginAttempt('10.0.0.3', true, now);
+        assert.equal(throttled.loginFailures.has('10.0.0.3'), false);
+    });
+
+    it('rejects users files with plain-text passwords', () => {
+        const filePath = path.join(dir, 'plain.json');
+        fs.writeFileSync(filePath, JSON.stringify({ users: [{ username: 'x', password: 'secret', role: 'admin' }] }));
+        assert.throws(() => new Authenticator({ filePath }).load(), /must be a hash/);
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSerialNumbers, createBatches, prepareBatches } = require('../../src/lib/batchProcessor');
+
+describe('createBatches', () => {
+    it('splits items into batches of the given size', () => {
+        assert.deepEqual(createBatches([1, 2, 3, 4, 5, 6], 3), [[1, 2, 3], [4, 5, 6]]);
+    });
+
+    it('puts the remainder in a shorter last batch', () => {
+        assert.deepEqual(createBatches([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    });
+
+    it('returns no batches for no items', () => {
+        assert.deepEqual(createBatches([], 10), []);
+    });
+
+    it('defaults to the API limit of 10 per batch', () => {
+        const batches = createBatches(generateSerialNumbers(25));
+        assert.deepEqual(batches.map(batch => batch.length), [10, 10, 5]);
+    });
+});
+
+describe('generateSerialNumbers', () => {
+    it('generates zero-padded serials from SN-000', () => {
+        const serials = generateSerialNumbers(500);
+        assert.equal(serials.length, 500);
+        assert.equal(serials[0], 'SN-000');
+        assert.equal(serials[499], 'SN-499');
+    });
+});
+
+describe('prepareBatches', () => {
+    it('covers every serial exactly once', () => {
+        const serials = generateSerialNumbers(500);
+        const { batches, totalDevices, totalBatches } = prepareBatches(serials, 10);
+
+        assert.equal(totalDevices, 500);
+        assert.equal(totalBatches, 50);
+        assert.deepEqual(batches.flat(), serials);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { statusTimeline, errorHistory, getDeviceDetail } = require('../../src/lib/deviceDetail');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('statusTimeline', () => {
+    it('merges readings of the same status into periods', () => {
+        const at = hour => new Date(Date.UTC(2025, 5, 1, hour)).toISOString();
+        const timeline = statusTimeline([
+            { ts: at(8), status: 'Online' },
+            { ts: at(9), status: 'Online' },
+            { ts: at(10), status: 'Offline' },
+            { ts: at(11), status: 'Online' },
+        ]);
+
+        assert.deepEqual(timeline, [
+            { status: 'Online', from: at(8), to: at(10), readings: 2 },
+            { status: 'Offline', from: at(10), to: at(11), readings: 1 },
+            { status: 'Online', from: at(11), to: at(11), readings: 1 },
+        ]);
+    });
+
+    it('is empty without readings', () => {
+        assert.deepEqual(statusTimeline([]), []);
+    });
+});
+
+describe('errorHistory', () => {
+    const runs = [
+        {
+            id: 'older',
+            completedAt: '2025-06-01T08:00:00.000Z',
+            errors: [{ batch: 2, serialNumbers: ['SN-010', 'SN-011'], error: 'HTTP 503' }],
+            recovery: { recovered: ['SN-010'], failed: [{ sn: 'SN-011', error: 'HTTP 503' }] },
+            quarantine: [],
+        },
+        {
+            id: 'newer',
+            completedAt: '2025-06-01T09:00:00.000Z',
+            errors: [],
+            recovery: null,
+            quarantine: [{ sn: 'SN-011', batch: 2, reason: 'power is not a number' }],
+        },
+    ];
+
+    it('lists batch failures, recovery failures and quarantined records, newest first', () => {
+        const history = errorHistory(runs, 'SN-011');
+        assert.deepEqual(history.map(entry => [entry.runId, entry.kind, entry.error]), [
+            ['newer', 'quarantine', 'power is not a number'],
+            ['older', 'batch', 'HTTP 503'],
+            ['older', 'recovery', 'HTTP 503'],
+        ]);
+    });
+
+    it('marks batch failures the recovery pass made up for', () => {
+        const [entry] = errorHistory(runs, 'SN-010');
+        assert.equal(entry.recovered, true);
+        assert.deepEqual(errorHistory(runs, 'SN-099'), []);
+    });
+});
+
+describe('getDeviceDetail', () => {
+    it('combines metadata, last reading, timeline and errors', async () => {
+        const now = Date.now();
+        const ts = offset => new Date(now - offset).toISOString();
+        const readings = [
+            { sn: 'SN-001', ts: ts(3 * HOUR_MS), powerKw: 4, status: 'Online', runId: 'a' },
+            { sn: 'SN-001', ts: ts(2 * HOUR_MS), powerKw: 0, status: 'Offline', runId: 'b' },
+        ];
+        const sources = {
+            registry: { get: sn => ({ sn, capacityKw: 5, tags: [] }) },
+            hierarchy: { locate: () => ({ site: 'north', group: 'c1' }) },
+            store: {
+                readRaw: async () => readings,
+                deviceHistory: async () => readings,
+            },
+            runs: {
+                list: async () => [{
+                    id: 'b',
+                    completedAt: ts(2 * HOUR_MS),
+                    errors: [{ batch: 1, serialNumbers: ['SN-001'], error: 'timeout' }],
+                }],
+            },
+        };
+
+        const detail = await getDeviceDetail('SN-001', { from: now - 24 * HOUR_MS, to: now, resolution: 'raw' }, sources);
+
+        assert.equal(detail.device.site, 'north');
+        assert.equal(detail.device.capacityKw, 5);
+        assert.equal(detail.lastSeen.status, 'Offline');
+        assert.equal(detail.lastSeen.runId, 'b');
+        assert.ok(Math.abs(detail.lastSeen.secondsAgo - 7200) <= 1);
+        assert.equal(detail.lastOnlineAt, readings[0].ts);
+        assert.equal(detail.timeline.length, 2);
+        assert.equal(detail.errors[0].error, 'timeout');
+    });
+});
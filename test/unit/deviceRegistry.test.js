@@ -0,0 +1,73 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const { DeviceRegistry, DEVICE_STATUS } = require('../../src/lib/deviceRegistry');
+
+describe('DeviceRegistry', () => {
+    let dir;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energygrid-registry-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('saves changes to the generated fleet to the fallback file', async () => {
+        const fallbackPath = path.join(dir, 'data', 'devices.json');
+        const registry = new DeviceRegistry(null, { fallbackPath }).load();
+        assert.equal(registry.source, null);
+        assert.equal(registry.devices.size, config.TOTAL_DEVICES);
+
+        await registry.add({ sn: 'SN-NEW', site: 'east' });
+        await registry.decommission('SN-000');
+        assert.ok(fs.existsSync(fallbackPath));
+
+        const reloaded = new DeviceRegistry(null, { fallbackPath }).load();
+        assert.equal(reloaded.source, fallbackPath);
+        assert.equal(reloaded.devices.size, config.TOTAL_DEVICES + 1);
+        assert.equal(reloaded.get('SN-NEW').site, 'east');
+        assert.equal(reloaded.get('SN-000').status, DEVICE_STATUS.DECOMMISSIONED);
+    });
+
+    it('prefers the registry file over the fallback file', async () => {
+        const filePath = path.join(dir, 'registry.csv');
+        const fallbackPath = path.join(dir, 'fallback.json');
+        fs.writeFileSync(filePath, 'sn,site\nSN-A,north\n');
+        fs.writeFileSync(fallbackPath, '[]');
+
+        const registry = new DeviceRegistry(filePath, { fallbackPath }).load();
+        await registry.update('SN-A', { site: 'south' });
+
+        assert.equal(registry.source, filePath);
+        assert.match(fs.readFileSync(filePath, 'utf8'), /SN-A,south/);
+        assert.equal(fs.readFileSync(fallbackPath, 'utf8'), '[]');
+    });
+
+    it('keeps memory unchanged when the file cannot be written', async () => {
+        // A path below a regular file cannot be created
+        const blocker = path.join(dir, 'not-a-directory');
+        fs.writeFileSync(blocker, '');
+        const registry = new DeviceRegistry(null, { fallbackPath: path.join(blocker, 'devices.json') }).load();
+        const before = registry.get('SN-001');
+
+        await assert.rejects(registry.add({ sn: 'SN-NEW' }));
+        await assert.rejects(registry.update('SN-001', { site: 'east' }));
+        await assert.rejects(registry.decommission('SN-001'));
+
+        assert.equal(registry.get('SN-NEW'), undefined);
+        assert.deepEqual(registry.get('SN-001'), before);
+        assert.equal(registry.devices.size, config.TOTAL_DEVICES);
+    });
+
+    it('rejects changes when there is nowhere to save them', async () => {
+        const registry = new DeviceRegistry(null, { fallbackPath: null }).load();
+        await assert.rejects(registry.add({ sn: 'SN-NEW' }), /no file to save to/);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeKpis, fleetKpis } = require('../../src/lib/kpis');
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.parse('2025-06-02T08:00:00Z');
+
+/**
+ * Raw reading as stored by the telemetry store
+ */
+function reading(sn, hoursAfterStart, powerKw, status = 'Online') {
+    return {
+        sn,
+        ts: new Date(start + hoursAfterStart * HOUR_MS).toISOString(),
+        powerKw,
+        status,
+        runId: `run-${hoursAfterStart}`,
+    };
+}
+
+describe('computeKpis', () => {
+    it('integrates power between readings', () => {
+        const kpis = computeKpis([
+            reading('SN-000', 0, 2),
+            reading('SN-000', 0.5, 4),
+            reading('SN-000', 1, 4),
+        ], { maxGapMs: HOUR_MS });
+
+        // (2 + 4) / 2 * 0.5h + 4 * 0.5h
+        assert.equal(kpis.energyKwh, 3.5);
+        assert.equal(kpis.currentPowerKw, 4);
+        assert.equal(kpis.lastReadingAt, '2025-06-02T09:00:00.000Z');
+    });
+
+    it('leaves gaps longer than the limit out of the energy', () => {
+        const kpis = computeKpis([
+            reading('SN-000', 0, 2),
+            reading('SN-000', 3, 2),
+            reading('SN-000', 3.5, 2),
+        ], { maxGapMs: HOUR_MS });
+
+        assert.equal(kpis.energyKwh, 1);
+    });
+
+    it('computes availability and the ratio to registered capacity', () => {
+        const capacities = { 'SN-000': 5, 'SN-001': 10 };
+        const kpis = computeKpis([
+            reading('SN-000', 0, 5),
+            reading('SN-000', 1, 5),
+            reading('SN-001', 0, 0, 'Offline'),
+            reading('SN-001', 1, 5),
+            reading('SN-002', 0, 3),
+            reading('SN-002', 1, 3),
+        ], { capacityOf: sn => capacities[sn] || null, maxGapMs: HOUR_MS });
+
+        // SN-000: 5 of 5 kWh, SN-001: 2.5 of 10 kWh, SN-002 has no capacity
+        assert.equal(kpis.performanceRatioPct, 50);
+        assert.equal(kpis.availabilityPct, 83.3);
+        assert.equal(kpis.energyKwh, 10.5);
+        assert.equal(kpis.reportingDevices, 3);
+        assert.equal(kpis.onlineDevices, 3);
+    });
+
+    it('reports nulls without readings or capacity', () => {
+        const kpis = computeKpis([]);
+        assert.equal(kpis.energyKwh, 0);
+        assert.equal(kpis.availabilityPct, null);
+        assert.equal(kpis.performanceRatioPct, null);
+        assert.equal(kpis.currentPowerKw, null);
+    });
+});
+
+describe('fleetKpis', () => {
+    const registry = {
+        get: sn => ({ sn, capacityKw: 4 }),
+        getActiveSerialNumbers: () => ['SN-000', 'SN-001'],
+    };
+
+    it('compares today so far with the same span yesterday', async () => {
+        const yesterday = [reading('SN-000', -24, 2), reading('SN-000', -23, 2)];
+        const today = [reading('SN-000', 0, 3), reading('SN-000', 1, 3), reading('SN-001', 0, 1)];
+        const store = {
+            readRaw: async (from, to) => [...yesterday, ...today]
+                .filter(entry => Date.parse(entry.ts) >= from && Date.parse(entry.ts) <= to),
+        };
+
+        const kpis = await fleetKpis({ now: start + 2 * HOUR_MS }, { store, registry });
+
+        assert.equal(kpis.devices, 2);
+        assert.equal(kpis.today.from, '2025-06-02T00:00:00.000Z');
+        assert.equal(kpis.yesterday.to, '2025-06-01T10:00:00.000Z');
+        assert.equal(kpis.today.energyKwh, 3);
+        assert.equal(kpis.yesterday.energyKwh, 2);
+        assert.equal(kpis.change.energyPct, 50);
+        assert.equal(kpis.change.performanceRatioPts, 25);
+    });
+
+    it('narrows to the given devices', async () => {
+        const store = { readRaw: async () => [reading('SN-000', 0, 3), reading('SN-001', 0, 1)] };
+
+        const kpis = await fleetKpis({ now: start, serialNumbers: ['SN-001'] }, { store, registry });
+
+        assert.equal(kpis.devices, 1);
+        assert.equal(kpis.today.currentPowerKw, 1);
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, parseRetryAfter, parseRateLimitReset } = require('../../src/lib/rateLimiter');
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+/**
+ * Let pending promise callbacks run without moving the fake clock
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('runs the first call immediately', async () => {
+        const limiter = new RateLimiter(1000, { adaptive: false });
+        assert.equal(await limiter.execute(async () => 'done'), 'done');
+    });
+
+    it('spaces queued calls by the interval', async () => {
+        const limiter = new RateLimiter(1000, { adaptive: false });
+        const startedAt = [];
+        const calls = [1, 2, 3].map(() => limiter.execute(async () => startedAt.push(Date.now())));
+
+        await flush();
+        assert.deepEqual(startedAt, [NOW]);
+
+        mock.timers.tick(999);
+        await flush();
+        assert.equal(startedAt.length, 1);
+
+        mock.timers.tick(1);
+        await flush();
+        mock.timers.tick(1000);
+        await flush();
+        await Promise.all(calls);
+        assert.deepEqual(startedAt, [NOW, NOW + 1000, NOW + 2000]);
+    });
+
+    it('passes errors to the caller and keeps going', async () => {
+        const limiter = new RateLimiter(1000, { adaptive: false });
+        const failed = limiter.execute(async () => {
+            throw new Error('boom');
+        });
+        const next = limiter.execute(async () => 'ok');
+
+        await assert.rejects(failed, /boom/);
+        mock.timers.tick(1000);
+        assert.equal(await next, 'ok');
+    });
+
+    it('holds the queue while paused', async () => {
+        const limiter = new RateLimiter(1000, { adaptive: false });
+        limiter.pauseFor(5000);
+        let ran = false;
+        const call = limiter.execute(async () => {
+            ran = true;
+        });
+
+        mock.timers.tick(4999);
+        await flush();
+        assert.equal(ran, false);
+
+        mock.timers.tick(1);
+        await call;
+        assert.equal(ran, true);
+    });
+
+    it('holds queued calls while suspended', async () => {
+        const limiter = new RateLimiter(1000, { adaptive: false });
+        limiter.suspend();
+        let ran = false;
+        const call = limiter.execute(async () => {
+            ran = true;
+        });
+
+        mock.timers.tick(5000);
+        await flush();
+        assert.equal(ran, false);
+        assert.equal(limiter.getStats().queueLength, 1);
+
+        limiter.resume();
+        await call;
+        assert.equal(ran, true);
+    });
+
+    it('rejects queued calls when drained, without touching the running one', async () => {
+        const limiter = new RateLimiter(1000, { adaptive: false });
+        const first = limiter.execute(async () => 'sent');
+        const second = limiter.execute(async () => 'never');
+        await flush();
+
+        assert.equal(limiter.drain(new Error('cancelled')), 1);
+        assert.equal(await first, 'sent');
+        await assert.rejects(second, /cancelled/);
+    });
+
+    it('widens the interval on 429s in adaptive mode, up to the maximum', () => {
+        mock.method(console, 'log', () => {});
+        const limiter = new RateLimiter(1000, { adaptive: true, minIntervalMs: 500, maxIntervalMs: 2000 });
+
+        limiter.recordThrottle();
+        assert.equal(limiter.intervalMs, 1500);
+        limiter.recordThrottle();
+        assert.equal(limiter.intervalMs, 2000);
+        assert.equal(limiter.getStats().throttledCount, 2);
+    });
+
+    it('narrows the interval after a streak of successes, down to the minimum', () => {
+        const limiter = new RateLimiter(1010, { adaptive: true, minIntervalMs: 1000, maxIntervalMs: 2000 });
+
+        for (let i = 0; i < 9; i++) limiter.recordSuccess();
+        assert.equal(limiter.intervalMs, 1010);
+        limiter.recordSuccess();
+        assert.equal(limiter.intervalMs, 1000);
+    });
+
+    it('keeps a fixed interval when not adaptive', () => {
+        const limiter = new RateLimiter(1000, { adaptive: false });
+        limiter.recordThrottle();
+        assert.equal(limiter.intervalMs, 1000);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('reads delays in seconds', () => {
+        assert.equal(parseRetryAfter('2', NOW), 2000);
+        assert.equal(parseRetryAfter('0.5', NOW), 500);
+    });
+
+    it('reads HTTP dates', () => {
+        assert.equal(parseRetryAfter(new Date(NOW + 3000).toUTCString(), NOW), 3000);
+    });
+
+    it('ignores missing or invalid values', () => {
+        assert.equal(parseRetryAfter(null, NOW), null);
+        assert.equal(parseRetryAfter('soon', NOW), null);
+    });
+});
+
+describe('parseRateLimitReset', () => {
+    it('reads epoch seconds', () => {
+        assert.equal(parseRateLimitReset(String((NOW + 950) / 1000), NOW), 950);
+    });
+
+    it('reads seconds from now', () => {
+        assert.equal(parseRateLimitReset('2', NOW), 2000);
+    });
+});
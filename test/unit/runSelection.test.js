@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DeviceRegistry } = require('../../src/lib/deviceRegistry');
+const { parseSelection, isTargeted, resolveSelection } = require('../../src/lib/runSelection');
+
+const registry = new DeviceRegistry(null, { fallbackPath: null }).load();
+
+/**
+ * Run store stub holding one previous run
+ */
+function storeWith(devices) {
+    return {
+        list: async () => (devices ? [{ id: 'previous' }] : []),
+        getDevices: async () => devices || [],
+    };
+}
+
+describe('parseSelection', () => {
+    it('treats an empty body as a full sweep', () => {
+        assert.deepEqual(parseSelection({}), {});
+        assert.deepEqual(parseSelection(undefined), {});
+        assert.equal(isTargeted(parseSelection({})), false);
+    });
+
+    it('accepts sn_list, range, site, tag and onlyOffline', () => {
+        const selection = parseSelection({
+            sn_list: ['SN-001', ' SN-002 ', 'SN-001'],
+            range: ['SN-000', 'SN-009'],
+            site: 'north',
+            tag: 'rooftop',
+            onlyOffline: true,
+        });
+        assert.deepEqual(selection, {
+            serialNumbers: ['SN-001', 'SN-002'],
+            range: ['SN-000', 'SN-009'],
+            site: 'north',
+            tag: 'rooftop',
+            onlyOffline: true,
+        });
+        assert.equal(isTargeted(selection), true);
+    });
+
+    it('rejects malformed filters', () => {
+        assert.throws(() => parseSelection({ sn_list: [] }), /sn_list/);
+        assert.throws(() => parseSelection({ sn_list: 'SN-001' }), /sn_list/);
+        assert.throws(() => parseSelection({ range: ['SN-001'] }), /range/);
+        assert.throws(() => parseSelection({ onlyOffline: 'yes' }), /onlyOffline/);
+    });
+});
+
+describe('resolveSelection', () => {
+    it('selects a list of devices in registry order', async () => {
+        const selected = await resolveSelection({ serialNumbers: ['SN-020', 'SN-010'] }, { registry, store: storeWith() });
+        assert.deepEqual(selected, ['SN-010', 'SN-020']);
+    });
+
+    it('selects a range, inclusive', async () => {
+        const selected = await resolveSelection({ range: ['SN-100', 'SN-119'] }, { registry, store: storeWith() });
+        assert.equal(selected.length, 20);
+        assert.equal(selected[0], 'SN-100');
+        assert.equal(selected[19], 'SN-119');
+    });
+
+    it('reuses the offline set of the previous run', async () => {
+        const store = storeWith([
+            { sn: 'SN-001', status: 'Offline' },
+            { sn: 'SN-002', status: 'Online' },
+            { sn: 'SN-300', status: 'Offline' },
+        ]);
+        assert.deepEqual(await resolveSelection({ onlyOffline: true }, { registry, store }), ['SN-001', 'SN-300']);
+        assert.deepEqual(
+            await resolveSelection({ onlyOffline: true, range: ['SN-000', 'SN-099'] }, { registry, store }),
+            ['SN-001']);
+    });
+
+    it('rejects unknown serials and empty selections', async () => {
+        await assert.rejects(
+            resolveSelection({ serialNumbers: ['SN-001', 'XX-1'] }, { registry, store: storeWith() }),
+            /Unknown or decommissioned devices: XX-1/);
+        await assert.rejects(
+            resolveSelection({ range: ['ZZ-000', 'ZZ-999'] }, { registry, store: storeWith() }),
+            /No active devices/);
+        await assert.rejects(
+            resolveSelection({ onlyOffline: true }, { registry, store: storeWith() }),
+            /needs a previous run/);
+        await assert.rejects(
+            resolveSelection({ onlyOffline: true }, { registry, store: storeWith([{ sn: 'SN-001', status: 'Online' }]) }),
+            /No devices were offline/);
+    });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuntimeConfig, validateSetting } = require('../../src/lib/runtimeConfig');
+
+/**
+ * Config object with the tunable settings at their config.js defaults
+ */
+function createTarget() {
+    return {
+        API_BASE_URL: 'http://localhost:3001',
+        BATCH_SIZE: 10,
+        RATE_LIMIT_MS: 1100,
+        RATE_LIMIT_ADAPTIVE: false,
+        MAX_RETRIES: 3,
+        INITIAL_RETRY_DELAY_MS: 1500,
+        RECOVERY_ENABLED: true,
+        RECOVERY_MAX_REQUESTS: 100,
+    };
+}
+
+describe('RuntimeConfig', () => {
+    let dir;
+    let file;
+    let entries;
+
+    /**
+     * RuntimeConfig over a fresh target, recording audit entries
+     */
+    function createRuntime(env = {}) {
+        const target = createTarget();
+        const audit = { record: async entry => entries.push(entry) };
+        return { target, runtime: new RuntimeConfig({ filePath: file, env, target, audit }).load() };
+    }
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energygrid-config-'));
+        file = path.join(dir, 'config.json');
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('validates settings against the schema', () => {
+        assert.equal(validateSetting('BATCH_SIZE', 10), 10);
+        assert.throws(() => validateSetting('BATCH_SIZE', 11), /BATCH_SIZE must be an integer from 1 to 10/);
+        assert.throws(() => validateSetting('RATE_LIMIT_MS', 500), /from 1000 to 10000/);
+        assert.throws(() => validateSetting('RECOVERY_ENABLED', 'yes'), /true or false/);
+        assert.throws(() => validateSetting('API_BASE_URL', 'ftp://upstream'), /http\(s\) URL/);
+        assert.throws(() => validateSetting('SECRET_TOKEN', 'x'), /not a runtime setting/);
+    });
+
+    it('merges file, env and runtime layers in that order', () => {
+        entries = [];
+        fs.writeFileSync(file, JSON.stringify({ BATCH_SIZE: 8, MAX_RETRIES: 5 }));
+        const { target, runtime } = createRuntime({ MAX_RETRIES: '2', RECOVERY_ENABLED: 'false' });
+
+        assert.equal(target.BATCH_SIZE, 8);
+        assert.equal(target.MAX_RETRIES, 2);
+        assert.equal(target.RECOVERY_ENABLED, false);
+
+        runtime.update({ BATCH_SIZE: 5 }, { user: { name: 'ana', role: 'admin' } });
+        const { settings } = runtime.describe();
+        assert.deepEqual(
+            ['BATCH_SIZE', 'MAX_RETRIES', 'RECOVERY_ENABLED', 'RATE_LIMIT_MS'].map(key => [settings[key].value, settings[key].source]),
+            [[5, 'runtime'], [2, 'env'], [false, 'env'], [1100, 'default']],
+        );
+
+        // null drops the override back to the file value
+        runtime.update({ BATCH_SIZE: null });
+        assert.equal(target.BATCH_SIZE, 8);
+    });
+
+    it('rejects invalid settings as a whole', () => {
+        fs.writeFileSync(file, '{}');
+        const { target, runtime } = createRuntime();
+
+        assert.throws(
+            () => runtime.update({ BATCH_SIZE: 11, MAX_RETRIES: 2 }),
+            /BATCH_SIZE must be an integer from 1 to 10/,
+        );
+        assert.throws(() => runtime.update({ MAX_RETRIES: 2, LOG_LEVEL: 'debug' }), /LOG_LEVEL is not a runtime setting/);
+        assert.equal(target.MAX_RETRIES, 3);
+
+        fs.writeFileSync(file, JSON.stringify({ BATCH_SIZE: 50 }));
+        assert.throws(() => createRuntime(), /Invalid .*config\.json: BATCH_SIZE/);
+    });
+
+    it('logs each change with a diff', () => {
+        entries = [];
+        fs.writeFileSync(file, '{}');
+        const { runtime } = createRuntime();
+
+        const result = runtime.update({ BATCH_SIZE: 5, RATE_LIMIT_MS: 1100 }, { user: { name: 'ana', role: 'admin' } });
+        assert.deepEqual(result, { changes: [{ key: 'BATCH_SIZE', from: 10, to: 5 }], deferred: false });
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].event, 'config-change');
+        assert.equal(entries[0].user, 'ana');
+        assert.deepEqual(entries[0].changes, [{ key: 'BATCH_SIZE', from: 10, to: 5 }]);
+
+        // Nothing changes, nothing is logged
+        runtime.update({ BATCH_SIZE: 5 });
+        assert.equal(entries.length, 1);
+    });
+
+    it('holds changes back until the run in progress finishes', () => {
+        fs.writeFileSync(file, '{}');
+        const { target, runtime } = createRuntime();
+        const applied = [];
+        runtime.on('applied', changes => applied.push(changes));
+
+        runtime.hold();
+        const result = runtime.update({ RATE_LIMIT_MS: 2000 });
+        assert.equal(result.deferred, true);
+        assert.equal(target.RATE_LIMIT_MS, 1100);
+        assert.equal(runtime.describe().pending, true);
+        assert.equal(runtime.describe().settings.RATE_LIMIT_MS.active, 1100);
+
+        runtime.release();
+        assert.equal(target.RATE_LIMIT_MS, 2000);
+        assert.equal(runtime.describe().pending, false);
+        assert.deepEqual(applied, [[{ key: 'RATE_LIMIT_MS', from: 1100, to: 2000 }]]);
+    });
+
+    it('reloads the settings file and keeps the last good one', () => {
+        entries = [];
+        fs.writeFileSync(file, JSON.stringify({ MAX_RETRIES: 4 }));
+        const { target, runtime } = createRuntime();
+
+        fs.writeFileSync(file, JSON.stringify({ MAX_RETRIES: 6 }));
+        runtime.reloadFile();
+        assert.equal(target.MAX_RETRIES, 6);
+        assert.equal(entries[0].source, 'file');
+
+        fs.writeFileSync(file, JSON.stringify({ MAX_RETRIES: -1 }));
+        assert.equal(runtime.reloadFile(), null);
+        assert.equal(target.MAX_RETRIES, 6);
+    });
+
+    it('keeps pinned settings over every other layer', () => {
+        fs.writeFileSync(file, JSON.stringify({ API_BASE_URL: 'https://file.example.com' }));
+        const { target, runtime } = createRuntime({ API_BASE_URL: 'http://localhost:3001' });
+        runtime.pin('API_BASE_URL', 'http://localhost:3000');
+
+        assert.equal(target.API_BASE_URL, 'http://localhost:3000');
+        assert.equal(runtime.describe().settings.API_BASE_URL.source, 'pinned');
+        assert.throws(() => runtime.update({ API_BASE_URL: 'https://elsewhere.example.com' }), /API_BASE_URL is pinned/);
+        assert.throws(() => runtime.update({ API_BASE_URL: null }), /API_BASE_URL is pinned/);
+        assert.equal(target.API_BASE_URL, 'http://localhost:3000');
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, normalizeSchedule, MAX_TIMEOUT_MS } = require('../../src/services/scheduler');
+const { nextRun } = require('../../src/lib/cron');
+
+/**
+ * Run manager stand-in that counts started runs
+ */
+function createManager() {
+    return {
+        started: 0,
+        isRunning: () => false,
+        start() {
+            this.started++;
+        },
+    };
+}
+
+describe('Scheduler', () => {
+    let delays;
+    let fakeSetTimeout;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2026, 0, 1, 0, 0, 1).getTime() });
+        // Record every delay the scheduler asks for
+        delays = [];
+        fakeSetTimeout = global.setTimeout;
+        global.setTimeout = (fn, ms, ...args) => {
+            delays.push(ms);
+            return fakeSetTimeout(fn, ms, ...args);
+        };
+    });
+
+    afterEach(() => {
+        global.setTimeout = fakeSetTimeout;
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('waits a whole month for a monthly cron without overflowing setTimeout', () => {
+        const manager = createManager();
+        const scheduler = new Scheduler({}, manager);
+        scheduler.update({ cron: '0 0 1 * *' });
+
+        const firstRunAt = nextRun('0 0 1 * *', Date.now());
+        assert.ok(firstRunAt - Date.now() > MAX_TIMEOUT_MS);
+        assert.equal(scheduler.nextRunAt, firstRunAt);
+
+        mock.timers.tick(MAX_TIMEOUT_MS);
+        assert.equal(manager.started, 0);
+
+        mock.timers.tick(firstRunAt - Date.now());
+        assert.equal(manager.started, 1);
+        assert.ok(delays.every(ms => ms <= MAX_TIMEOUT_MS));
+        assert.ok(scheduler.nextRunAt > firstRunAt);
+        scheduler.stop();
+    });
+
+    it('keeps the current schedule when a cron expression never matches', () => {
+        const scheduler = new Scheduler({}, createManager());
+        scheduler.update({ intervalMs: 60000 });
+        const before = scheduler.getStatus();
+
+        assert.throws(() => scheduler.update({ cron: '0 0 31 2 *' }), /Cron expression never matches/);
+        assert.throws(() => normalizeSchedule({ cron: '0 0 30 2 *' }), /never matches/);
+        assert.deepEqual(scheduler.getStatus(), before);
+        assert.ok(scheduler.timer);
+        scheduler.stop();
+    });
+
+    it('rejects intervals outside the allowed range', () => {
+        assert.throws(() => normalizeSchedule({ intervalMs: 5000 }), /intervalMs must be an integer from/);
+        assert.throws(() => normalizeSchedule({ intervalMs: 40 * 24 * 60 * 60 * 1000 }), /intervalMs must be an integer from/);
+        assert.equal(normalizeSchedule({ intervalMs: 60000 }).intervalMs, 60000);
+    });
+});
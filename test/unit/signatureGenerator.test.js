@@ -0,0 +1,69 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+    generateSignature,
+    generateHmacSignature,
+    generateAuthHeaders,
+} = require('../../src/lib/signatureGenerator');
+
+const URL = '/device/real/query';
+const TOKEN = 'interview_token_123';
+
+describe('generateSignature', () => {
+    it('is MD5(url + token + timestamp)', () => {
+        assert.equal(generateSignature(URL, TOKEN, '1700000000000'), '192e6a35c45c5f24d5103c72c4ba77e9');
+    });
+
+    it('treats a numeric timestamp like its string form', () => {
+        assert.equal(generateSignature(URL, TOKEN, 1700000000000), generateSignature(URL, TOKEN, '1700000000000'));
+    });
+
+    it('changes with the token', () => {
+        assert.notEqual(generateSignature(URL, 'other', '1700000000000'), generateSignature(URL, TOKEN, '1700000000000'));
+    });
+});
+
+describe('generateHmacSignature', () => {
+    const parts = { method: 'post', url: URL, timestamp: '1700000000000', nonce: 'abc', body: '{"sn_list":["SN-000"]}' };
+
+    it('signs METHOD, path, timestamp and nonce', () => {
+        const expected = crypto.createHmac('sha256', TOKEN)
+            .update(['POST', URL, '1700000000000', 'abc'].join('\n'))
+            .digest('hex');
+        assert.equal(generateHmacSignature(TOKEN, { ...parts, scheme: 'hmac-sha256' }), expected);
+    });
+
+    it('adds the body hash for hmac-sha256-body', () => {
+        const bodyHash = crypto.createHash('sha256').update(parts.body).digest('hex');
+        const expected = crypto.createHmac('sha256', TOKEN)
+            .update(['POST', URL, bodyHash, '1700000000000', 'abc'].join('\n'))
+            .digest('hex');
+        assert.equal(generateHmacSignature(TOKEN, { ...parts, scheme: 'hmac-sha256-body' }), expected);
+    });
+});
+
+describe('generateAuthHeaders', () => {
+    it('signs with the current time for md5', () => {
+        mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+        try {
+            assert.deepEqual(generateAuthHeaders(URL, TOKEN, { scheme: 'md5' }), {
+                timestamp: '1700000000000',
+                signature: '192e6a35c45c5f24d5103c72c4ba77e9',
+            });
+        } finally {
+            mock.timers.reset();
+        }
+    });
+
+    it('adds a fresh nonce to every HMAC request', () => {
+        const first = generateAuthHeaders(URL, TOKEN, { scheme: 'hmac-sha256' });
+        const second = generateAuthHeaders(URL, TOKEN, { scheme: 'hmac-sha256' });
+        assert.ok(first.nonce);
+        assert.notEqual(first.nonce, second.nonce);
+    });
+
+    it('rejects unknown schemes', () => {
+        assert.throws(() => generateAuthHeaders(URL, TOKEN, { scheme: 'sha1' }), /Unknown signature scheme/);
+    });
+});
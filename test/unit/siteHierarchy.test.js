@@ -0,0 +1,96 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DeviceRegistry } = require('../../src/lib/deviceRegistry');
+const { SiteHierarchy, UNASSIGNED } = require('../../src/lib/siteHierarchy');
+
+/**
+ * Registry of ten devices; SN-008 and SN-009 carry their own site and group
+ */
+function createRegistry() {
+    const registry = new DeviceRegistry(null);
+    for (let i = 0; i < 10; i++) {
+        const sn = `SN-00${i}`;
+        const entry = i >= 8 ? { sn, site: 'east', group: 'east-c1' } : { sn };
+        registry.devices.set(sn, { ...entry, status: 'active' });
+    }
+    return registry;
+}
+
+describe('SiteHierarchy', () => {
+    let dir;
+    let hierarchy;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energygrid-sites-'));
+        const file = path.join(dir, 'sites.json');
+        fs.writeFileSync(file, JSON.stringify([
+            {
+                id: 'north',
+                name: 'North Field',
+                groups: [
+                    { id: 'c1', name: 'Combiner 1', range: ['SN-000', 'SN-003'] },
+                    { id: 'c2', name: 'Combiner 2', devices: ['SN-004', 'SN-005'] },
+                ],
+            },
+        ]));
+        hierarchy = new SiteHierarchy(file, createRegistry()).load();
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('places devices by file, then registry, then unassigned', () => {
+        assert.deepEqual(hierarchy.locate('SN-002'), { site: 'north', group: 'c1' });
+        assert.deepEqual(hierarchy.locate('SN-005'), { site: 'north', group: 'c2' });
+        assert.deepEqual(hierarchy.locate('SN-009'), { site: 'east', group: 'east-c1' });
+        assert.deepEqual(hierarchy.locate('SN-006'), { site: UNASSIGNED, group: UNASSIGNED });
+    });
+
+    it('lists configured sites first, then the others by id', () => {
+        const tree = hierarchy.tree();
+        assert.deepEqual(tree.map(site => [site.id, site.deviceCount]), [['north', 6], ['east', 2], [UNASSIGNED, 2]]);
+        assert.deepEqual(tree[0].groups.map(group => [group.name, group.devices]), [
+            ['Combiner 1', ['SN-000', 'SN-001', 'SN-002', 'SN-003']],
+            ['Combiner 2', ['SN-004', 'SN-005']],
+        ]);
+    });
+
+    it('rolls readings up per site and group', () => {
+        const readings = [
+            { sn: 'SN-000', status: 'Online', powerW: 2500 },
+            { sn: 'SN-001', status: 'Online', powerW: 1500 },
+            { sn: 'SN-002', status: 'Offline', powerW: 0 },
+            { sn: 'SN-004', status: 'Online', powerW: 1000 },
+        ];
+
+        const [north, east] = hierarchy.rollup(readings);
+
+        assert.equal(north.totalKw, 5);
+        assert.equal(north.totalDevices, 6);
+        assert.equal(north.reportedDevices, 4);
+        assert.equal(north.unreportedDevices, 2);
+        assert.equal(north.availabilityPct, 75);
+        assert.deepEqual(north.offlineDevices, ['SN-002']);
+        assert.deepEqual(north.groups.map(group => group.availabilityPct), [66.7, 100]);
+        assert.equal(east.availabilityPct, null);
+        assert.equal(east.totalKw, 0);
+    });
+
+    it('tags readings with their site and group', () => {
+        const [reading] = hierarchy.tag([{ sn: 'SN-004', status: 'Online', powerW: 10 }]);
+        assert.equal(reading.site, 'north');
+        assert.equal(reading.group, 'c2');
+    });
+
+    it('rejects duplicate sites', () => {
+        const file = path.join(dir, 'duplicate.json');
+        fs.writeFileSync(file, JSON.stringify([{ id: 'a' }, { id: 'a' }]));
+        assert.throws(() => new SiteHierarchy(file, createRegistry()).load(), /Duplicate site or group/);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TelemetryStore, parseHistoryQuery } = require('../../src/lib/telemetryStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-10T12:00:00.000Z');
+
+/**
+ * Device reading as produced by aggregateDeviceData
+ */
+function device(sn, lastUpdated, powerW = 1000) {
+    return { sn, last_updated: lastUpdated, powerW, status: 'Online' };
+}
+
+describe('TelemetryStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energygrid-telemetry-'));
+        store = new TelemetryStore({ dataDir: dir, rawRetentionDays: 7, hourlyRetentionDays: 365 });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    it('downsamples a compacted day again when late readings arrive', async () => {
+        await store.record('run-1', [device('SN-001', '2025-06-09T10:15:00.000Z', 1000)], NOW);
+        const hourlyFile = path.join(dir, 'telemetry', 'hourly', '2025-06-09.jsonl');
+        assert.ok(fs.existsSync(hourlyFile));
+
+        await store.record('run-2', [device('SN-001', '2025-06-09T10:45:00.000Z', 3000)], NOW);
+        const [point] = await store.readHourly(NOW - 2 * DAY_MS, NOW, 'SN-001');
+        assert.equal(point.samples, 2);
+        assert.equal(point.avgPowerKw, 2);
+        assert.equal(point.maxPowerKw, 3);
+    });
+
+    it('drops readings older than the raw retention', async () => {
+        await store.record('run-1', [device('SN-001', '2025-06-09T10:15:00.000Z')], NOW);
+        const stored = await store.record('run-2', [device('SN-001', '2025-05-01T10:15:00.000Z')], NOW);
+
+        assert.equal(stored, 0);
+        assert.deepEqual(fs.readdirSync(path.join(dir, 'telemetry', 'raw')), ['2025-06-09.jsonl']);
+    });
+
+    it('reads open-ended ranges without walking days that have no files', async () => {
+        await store.record('run-1', [device('SN-001', '2025-06-09T10:15:00.000Z')], NOW);
+        await store.record('run-2', [device('SN-001', '2025-06-10T10:15:00.000Z')], NOW);
+
+        const readFile = mock.method(fs.promises, 'readFile');
+        const readings = await store.readRaw(0, NOW + 1000 * DAY_MS, 'SN-001');
+        assert.equal(readings.length, 2);
+        assert.equal(readFile.mock.callCount(), 2);
+
+        assert.equal((await store.readHourly(0, NOW)).length, 2);
+        assert.deepEqual(await new TelemetryStore({ dataDir: path.join(dir, 'empty') }).readRaw(0, NOW), []);
+    });
+});
+
+describe('parseHistoryQuery', () => {
+    it('rejects timestamps outside the range a Date can hold', () => {
+        const invalid = { error: 'from and to must be ISO dates or epoch milliseconds' };
+        assert.deepEqual(parseHistoryQuery({ to: '9999999999999999' }), invalid);
+        assert.deepEqual(parseHistoryQuery({ from: '0', to: '8640000000000001' }), invalid);
+        assert.deepEqual(parseHistoryQuery({ from: 'yesterday' }), invalid);
+        assert.equal(parseHistoryQuery({ from: '0', to: '8640000000000000' }).resolution, 'hour');
+    });
+});